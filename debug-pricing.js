@@ -6,10 +6,10 @@
 import fs from 'fs';
 import path from 'path';
 import process from 'process';
+import { loadSets, loadCards } from './scripts/lib/card-store.js';
 
 const REPO_ROOT = process.cwd();
 const PRICING_PATH = path.join(REPO_ROOT, 'data', 'pricing-raw.json');
-const CARDS_PATH = path.join(REPO_ROOT, 'data', 'cards-all.json');
 
 // More lenient default threshold for development
 const THRESHOLD = Number.parseInt(process.env.MIN_PRICING_ENTRIES || '10', 10);
@@ -54,9 +54,8 @@ if (pricingEntries > 0) {
 }
 
 // Check card data if available
-if (fs.existsSync(CARDS_PATH)) {
-  const cardsData = JSON.parse(fs.readFileSync(CARDS_PATH, 'utf8'));
-  const cardCount = Array.isArray(cardsData) ? cardsData.length : 0;
+if (loadSets().length) {
+  const cardCount = loadCards().length;
   console.log(`\n🎴 Card Data: ${cardCount} cards available`);
   
   if (cardCount > 0 && pricingEntries > 0) {
@@ -0,0 +1,127 @@
+/**
+ * checklists.js
+ *
+ * Generates per-set checklists from the merged chunks (see
+ * scripts/lib/checklists.js): `data/tcg-checklist-<setId>.json` for the
+ * theme, one per set, plus printable CSVs on request. With a collection
+ * (inventory file format, see scripts/lib/inventory.js) each row gets the
+ * owned count and each set the cost of what's missing; those personal
+ * checklists go to the output directory, never to `data/`.
+ *
+ * Usage:
+ *  - node scripts/checklists.js                         every set → data/ (npm run sync does this)
+ *  - node scripts/checklists.js sv1 base1 --csv         also checklists/<setId>.csv
+ *  - node scripts/checklists.js sv1 --collection=config/inventory.json [--top=10] [--out=checklists]
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import {
+  CHECKLIST_FILE_PATTERN, checklistFile, buildChecklist, applyCollection, checklistCSV
+} from './lib/checklists.js';
+import { loadMergedCards } from './lib/catalog.js';
+import { loadSets } from './lib/card-store.js';
+import { configuredLanguages } from './lib/languages.js';
+import { loadInventory } from './lib/inventory.js';
+import { loadSourcesConfig } from './lib/pricing-sources.js';
+import { assertValid } from './lib/validate.js';
+import { StageError, runAsScript } from './lib/pipeline.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+const OUT_DIR   = path.join(REPO_ROOT, 'checklists');
+
+function parseArgs(argv) {
+  const opts = { sets: [], csv: false, collection: null, top: 10, out: OUT_DIR };
+  for (const arg of argv) {
+    if (arg === '--csv') opts.csv = true;
+    else if (arg.startsWith('--collection=')) opts.collection = arg.slice(13);
+    else if (arg.startsWith('--top=')) opts.top = Number.parseInt(arg.slice(6), 10);
+    else if (arg.startsWith('--out=')) opts.out = path.resolve(arg.slice(6));
+    else if (arg.startsWith('--')) throw new StageError(`Unknown argument ${arg}`, 2);
+    else opts.sets.push(arg.toLowerCase());
+  }
+  if (!Number.isInteger(opts.top) || opts.top < 1) throw new StageError('--top must be a whole number >= 1', 2);
+  return opts;
+}
+
+/** printedTotal per set id from the card store, for merged data written before it was embedded. */
+function storePrintedTotals() {
+  const totals = new Map();
+  for (const { code } of configuredLanguages()) {
+    for (const set of loadSets(code)) {
+      if (set.printedTotal > 0) totals.set(String(set.id).toLowerCase(), set.printedTotal);
+    }
+  }
+  return totals;
+}
+
+function removeStaleChecklists(keep) {
+  const keepSet = new Set(keep);
+  const stale = fs.readdirSync(DATA_DIR).filter(f => CHECKLIST_FILE_PATTERN.test(f) && !keepSet.has(f));
+  stale.forEach(f => fs.unlinkSync(path.join(DATA_DIR, f)));
+  return stale;
+}
+
+/**
+ * Stage: writes a checklist per set. Options as parsed from the command
+ * line; sync runs it with none (every set, theme JSON only).
+ */
+export async function generateChecklists({ sets = [], csv = false, collection = null, top = 10, out = OUT_DIR } = {}) {
+  const cards = loadMergedCards(DATA_DIR);
+  const bySet = new Map();
+  for (const card of cards) {
+    const setId = String(card.set?.id || '').toLowerCase();
+    if (sets.length && !sets.includes(setId)) continue;
+    if (!bySet.has(setId)) bySet.set(setId, []);
+    bySet.get(setId).push(card);
+  }
+  const unknown = sets.filter(id => !bySet.has(id));
+  if (unknown.length) throw new StageError(`No merged cards for set(s): ${unknown.join(', ')}`, 2);
+
+  const items = collection ? loadInventory(path.resolve(collection)).items : null;
+  const printedTotals = storePrintedTotals();
+  const currency = loadSourcesConfig().baseCurrency;
+  const jsonDir = collection ? out : DATA_DIR;
+  const written = [];
+  const warnings = [];
+  let rows = 0;
+  let unknownTotals = 0;
+
+  fs.mkdirSync(jsonDir, { recursive: true });
+  if (csv) fs.mkdirSync(out, { recursive: true });
+  for (const [setId, setCards] of bySet) {
+    const set = { ...setCards[0].set, id: setId };
+    if (!(set.printedTotal > 0)) set.printedTotal = printedTotals.get(setId) ?? null;
+    if (set.printedTotal === null) unknownTotals++;
+
+    let checklist = buildChecklist(set, setCards, { currency });
+    if (items) checklist = applyCollection(checklist, items, { top });
+    const name = checklistFile(setId);
+    assertValid('checklist', checklist, name);
+    fs.writeFileSync(path.join(jsonDir, name), JSON.stringify(checklist, null, 2), 'utf8');
+    if (csv) fs.writeFileSync(path.join(out, `${setId}.csv`), checklistCSV(checklist), 'utf8');
+    written.push(name);
+    rows += checklist.rows.length;
+
+    if (items && checklist.missing.cards < checklist.totals.cards) {
+      const { missing } = checklist;
+      console.log(`📋 ${setId}: missing ${missing.cards}/${checklist.totals.cards} card(s) (${missing.completeSet.toFixed(2)} ${currency}), ` +
+        `${missing.rows}/${checklist.totals.rows} printing(s) for the master set (${missing.masterSet.toFixed(2)} ${currency})`);
+      checklist.mostExpensiveMissing.forEach(r => console.log(`   ${r.number}\t${r.name}\t${r.printing || ''}\t${r.market.toFixed(2)}`));
+    }
+  }
+
+  const stale = !collection && !sets.length ? removeStaleChecklists(written) : [];
+  if (unknownTotals) warnings.push(`${unknownTotals} set(s) without a printedTotal; their secret rares are not flagged (run: npm run fetch-cards)`);
+  warnings.forEach(w => console.log(`⚠️ ${w}`));
+  console.log(`✅ Wrote ${written.length} checklist(s) (${rows} rows) → ${path.relative(REPO_ROOT, jsonDir) || '.'}` +
+    `${csv ? `, CSV → ${path.relative(REPO_ROOT, out)}` : ''}${stale.length ? `; removed ${stale.length} stale` : ''}`);
+  return {
+    inputs: { sets: sets.length ? sets : 'all', collection: collection || null },
+    counts: { checklists: written.length, rows, staleRemoved: stale.length },
+    warnings
+  };
+}
+
+runAsScript(import.meta.url, () => generateChecklists(parseArgs(process.argv.slice(2))));
@@ -1,103 +1,169 @@
-// fetch-cards.js - COMPLETE VERSION with built-in modules only
-import fs from 'fs';
-import https from 'https';
-
-function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    const request = https.get(url, (response) => {
-      let data = '';
-      
-      response.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      response.on('end', () => {
-        try {
-          const json = JSON.parse(data);
-          resolve(json);
-        } catch (error) {
-          reject(new Error(`Failed to parse JSON from ${url}: ${error.message}`));
-        }
-      });
-    });
-    
-    request.on('error', (error) => {
-      reject(new Error(`Request failed for ${url}: ${error.message}`));
-    });
-    
-    request.setTimeout(30000, () => {
-      request.destroy();
-      reject(new Error(`Request timeout for ${url}`));
-    });
-  });
-}
+// fetch-cards.js - Incremental, resumable card fetch into the shared card store
+//
+// Only sets whose upstream JSON changed (ETag/Last-Modified or content hash)
+// are rewritten. If a previous run stopped part-way, sets already fetched
+// during that run are skipped without a request.
+//
+// Env:
+//   POKEMON_TCG_DATA  base URL or local mirror directory of pokemon-tcg-data
+//   CARD_STORE_DIR    where the per-set cache lives (default .cache/cards)
+//   CARD_LANGUAGES    comma-separated languages to fetch (default en; e.g.
+//                     en,ja), each from sets/<lang>.json and cards/<lang>/
+//   FULL_REFRESH=1    ignore cached validators and refetch everything
+import {
+  CARD_SOURCE,
+  STORE_DIR,
+  isRemoteSource,
+  fetchSourceJSON,
+  readManifest,
+  writeManifest,
+  saveSets,
+  loadSets,
+  saveSetCards,
+  loadSetCards
+} from './lib/card-store.js';
+import { assertValid } from './lib/validate.js';
+import { loadAliasRegistry, saveAliasRegistry, seedAliasRegistry } from './lib/set-aliases.js';
+import { DEFAULT_LANGUAGE, configuredLanguages } from './lib/languages.js';
+import { StageError, runAsScript } from './lib/pipeline.js';
+
+const FULL_REFRESH = process.env.FULL_REFRESH === '1';
+
+/** Fetches one language's sets list and cards; resolves to its counts. */
+async function fetchLanguage(lang) {
+  const manifest = FULL_REFRESH
+    ? { source: CARD_SOURCE, run: null, setsList: null, sets: {} }
+    : readManifest(lang);
+
+  // Validators from another source don't apply here
+  if (manifest.source !== CARD_SOURCE) {
+    manifest.source = CARD_SOURCE;
+    manifest.setsList = null;
+    for (const entry of Object.values(manifest.sets)) {
+      entry.etag = null;
+      entry.lastModified = null;
+    }
+  }
+
+  const resuming = manifest.run && !manifest.run.completedAt;
+  if (resuming) {
+    console.log(`↩️  [${lang}] Resuming incomplete run started ${manifest.run.startedAt}`);
+  } else {
+    manifest.run = { startedAt: new Date().toISOString(), completedAt: null };
+  }
+  const runStart = manifest.run.startedAt;
+
+  // 1. Fetch sets list
+  console.log(`Fetching ${lang} sets list...`);
+  const setsResult = await fetchSourceJSON(`sets/${lang}.json`, loadSets(lang).length ? manifest.setsList : null);
+  manifest.setsList = setsResult.meta;
+  let sets;
+  if (setsResult.changed) {
+    sets = setsResult.data.data || setsResult.data; // Handle different response formats
+    assertValid('sets', sets, `sets/${lang}.json`, 'sets');
+    saveSets(sets, lang);
+
+    // Keep the set alias registry seeded with new sets and ptcgoCodes. Only
+    // from en: other languages reuse set ids with their own names and codes,
+    // which would overwrite the English entries pricing sources resolve to.
+    if (lang === DEFAULT_LANGUAGE) {
+      const registry = loadAliasRegistry();
+      const seeded = seedAliasRegistry(registry, sets);
+      if (seeded) {
+        saveAliasRegistry(registry);
+        console.log(`🏷️  Set alias registry: ${seeded} entries added or refreshed`);
+      }
+    }
+  } else {
+    sets = loadSets(lang);
+  }
+  writeManifest(manifest, lang);
+
+  console.log(`Found ${sets.length} ${lang} sets${setsResult.changed ? '' : ' (unchanged)'}`);
 
-async function fetchCardData() {
-  console.log('🔥 Fetching Pokemon TCG data from GitHub...');
-  
-  try {
-    // 1. Fetch sets list
-    console.log('Fetching sets list...');
-    const setsData = await fetchJSON('https://raw.githubusercontent.com/PokemonTCG/pokemon-tcg-data/master/sets/en.json');
-    const sets = setsData.data || setsData; // Handle different response formats
-    
-    console.log(`Found ${sets.length} sets`);
-    
-    // 2. Fetch all cards from all sets
-    const allCards = [];
-    let processedSets = 0;
-    
-    for (const set of sets) {
-      try {
-        console.log(`Fetching cards for set: ${set.name} (${processedSets + 1}/${sets.length})`);
-        
-        const cardsData = await fetchJSON(
-          `https://raw.githubusercontent.com/PokemonTCG/pokemon-tcg-data/master/cards/en/${set.id}.json`
-        );
-        
-        const cards = cardsData.data || cardsData; // Handle different response formats
-        
-        if (Array.isArray(cards)) {
-          allCards.push(...cards);
-          console.log(`  ✅ Added ${cards.length} cards from ${set.name}`);
-        }
-        
-        processedSets++;
-        
-        // Small delay to be nice to GitHub
+  // 2. Fetch cards set by set, recording progress after each one
+  const counts = { sets: sets.length, updated: 0, unchanged: 0, skipped: 0, failed: 0, cards: 0 };
+
+  for (const [idx, set] of sets.entries()) {
+    const cached = manifest.sets[set.id];
+    const progress = `(${idx + 1}/${sets.length})`;
+
+    if (resuming && cached?.fetchedAt >= runStart && loadSetCards(set.id, lang)) {
+      counts.skipped++;
+      counts.cards += cached.count || 0;
+      continue;
+    }
+
+    try {
+      const result = await fetchSourceJSON(
+        `cards/${lang}/${set.id}.json`,
+        loadSetCards(set.id, lang) ? cached : null
+      );
+
+      if (result.changed) {
+        const cards = result.data.data || result.data; // Handle different response formats
+        assertValid('set-cards', cards, `cards/${lang}/${set.id}.json`, 'cards');
+        saveSetCards(set.id, cards, lang);
+        manifest.sets[set.id] = { ...result.meta, count: cards.length, fetchedAt: new Date().toISOString() };
+        console.log(`  ✅ ${set.name} ${progress}: ${cards.length} cards`);
+        counts.updated++;
+      } else {
+        manifest.sets[set.id] = { ...result.meta, fetchedAt: new Date().toISOString() };
+        counts.unchanged++;
+      }
+      counts.cards += manifest.sets[set.id].count || 0;
+      writeManifest(manifest, lang);
+
+      // Small delay to be nice to GitHub
+      if (isRemoteSource() && result.changed) {
         await new Promise(resolve => setTimeout(resolve, 100));
-        
-      } catch (error) {
-        console.log(`  ⚠️ Failed to fetch ${set.name}: ${error.message}`);
       }
+    } catch (error) {
+      console.log(`  ⚠️ Failed to fetch ${set.name} ${progress}: ${error.message}`);
+      counts.failed++;
     }
-    
-    console.log(`📊 Total cards fetched: ${allCards.length}`);
-    
-    // 3. Create data directory if it doesn't exist
-    if (!fs.existsSync('data')) {
-      fs.mkdirSync('data');
+  }
+
+  // 3. Close the run only when every set made it; otherwise the next run resumes
+  if (!counts.failed) manifest.run.completedAt = new Date().toISOString();
+  writeManifest(manifest, lang);
+  return counts;
+}
+
+/**
+ * Stage: brings the card store up to date for every CARD_LANGUAGES language.
+ * Sets that fail are reported as warnings; the next run resumes with them.
+ */
+export async function fetchCards() {
+  const languages = configuredLanguages();
+  console.log(`🔥 Fetching Pokemon TCG data (${languages.map(l => l.code).join(', ')}) from ${CARD_SOURCE}...`);
+  console.log(`   Card store: ${STORE_DIR}`);
+
+  const counts = { sets: 0, cards: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0 };
+  const warnings = [];
+  for (const { code } of languages) {
+    let c;
+    try {
+      c = await fetchLanguage(code);
+    } catch (error) {
+      throw new StageError(`Error fetching card data: ${error.message}`);
     }
-    
-    // 4. Save raw data
-    const rawData = {
-      sets: sets,
-      cards: allCards,
-      lastUpdated: new Date().toISOString(),
-      totalSets: sets.length,
-      totalCards: allCards.length
-    };
-    
-    fs.writeFileSync('data/raw-cards.json', JSON.stringify(rawData, null, 2));
-    
-    console.log('✅ Card data saved to data/raw-cards.json');
-    console.log(`📈 Summary: ${sets.length} sets, ${allCards.length} cards`);
-    
-  } catch (error) {
-    console.error('❌ Error fetching card data:', error.message);
-    process.exit(1);
+    for (const k of Object.keys(counts)) counts[k] += c[k];
+    if (c.failed) warnings.push(`${c.failed} ${code} set(s) failed to fetch; the next run resumes with those`);
+    console.log(`📊 [${code}] Sets: ${c.updated} updated, ${c.unchanged} unchanged, ${c.skipped} already done, ${c.failed} failed`);
+    console.log(`📈 [${code}] Summary: ${c.sets} sets, ${c.cards} cards`);
+  }
+
+  if (counts.failed) {
+    console.log(`⚠️ ${counts.failed} set(s) failed; the next run resumes with those.`);
+  } else {
+    console.log(`✅ Card store up to date in ${STORE_DIR}`);
   }
+  return {
+    inputs: { source: CARD_SOURCE, store: STORE_DIR, languages: languages.map(l => l.code), fullRefresh: FULL_REFRESH },
+    counts,
+    warnings
+  };
 }
 
-// Run the function
-fetchCardData().catch(console.error);
+runAsScript(import.meta.url, fetchCards);
@@ -0,0 +1,110 @@
+/**
+ * inventory.js
+ *
+ * Maintains the store inventory in `config/inventory.json` (see
+ * scripts/lib/inventory.js) and values it against the merged catalog.
+ * `value` only reads the committed `data/` files, so it works offline;
+ * merge-data.js writes the same report on every run.
+ *
+ * Usage:
+ *  - node scripts/inventory.js import <file.csv> [--add]   replace the inventory (--add: add quantities)
+ *  - node scripts/inventory.js list
+ *  - node scripts/inventory.js value                       writes data/inventory-valuation.json
+ *
+ * Env: INVENTORY_FILE, CONDITION_MULTIPLIERS_FILE
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import {
+  INVENTORY_FILE, VALUATION_FILE,
+  loadInventory, saveInventory, parseInventoryCSV, applyImport, valueInventory
+} from './lib/inventory.js';
+import { loadConditionMultipliers } from './lib/conditions.js';
+import { loadMergedCards } from './lib/catalog.js';
+import { loadSourcesConfig } from './lib/pricing-sources.js';
+import { assertValid } from './lib/validate.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+
+function fail(message, code = 1) {
+  console.error(`❌ ${message}`);
+  process.exit(code);
+}
+
+function importCSV(file, add) {
+  if (!file) usage();
+  if (!fs.existsSync(file)) fail(`${file} not found`, 2);
+  const { items, errors } = parseInventoryCSV(fs.readFileSync(file, 'utf8'));
+  for (const e of errors) console.error(`   line ${e.line}: ${e.message}`);
+  if (errors.length) fail(`${errors.length} row(s) in ${file} could not be read; nothing was imported`);
+
+  // Card ids are checked against the committed catalog when there is one
+  let known = null;
+  try {
+    known = new Set(loadMergedCards(DATA_DIR).map(c => c.id));
+  } catch {
+    console.log('⚠️ No merged catalog in data/; card ids were not checked');
+  }
+  const unknown = known ? [...new Set(items.filter(i => !known.has(i.cardId)).map(i => i.cardId))] : [];
+  if (unknown.length) {
+    console.log(`⚠️ ${unknown.length} card id(s) not in the catalog (kept; valued as unpriced): ${unknown.slice(0, 10).join(', ')}${unknown.length > 10 ? ', …' : ''}`);
+  }
+
+  const data = applyImport(loadInventory(), items, { add });
+  saveInventory(data);
+  const quantity = data.items.reduce((n, i) => n + i.quantity, 0);
+  console.log(`✅ ${add ? 'Added' : 'Imported'} ${items.length} line(s) from ${file} → ${data.items.length} line(s), ` +
+    `${quantity} card(s) in ${path.relative(REPO_ROOT, INVENTORY_FILE)}`);
+}
+
+function list() {
+  const { items } = loadInventory();
+  console.log(`📦 ${items.length} line(s) in ${path.relative(REPO_ROOT, INVENTORY_FILE)}`);
+  for (const i of items) {
+    console.log(`   ${i.cardId}\t${i.printing || '(default)'}\t${i.condition}\t×${i.quantity}${i.note ? `\t# ${i.note}` : ''}`);
+  }
+}
+
+function value() {
+  const { items } = loadInventory();
+  if (!items.length) fail(`No inventory in ${path.relative(REPO_ROOT, INVENTORY_FILE)}. Run: node scripts/inventory.js import <file.csv>`, 2);
+  let cards;
+  try {
+    cards = loadMergedCards(DATA_DIR);
+  } catch (e) {
+    fail(e.message, 2);
+  }
+  const report = valueInventory(items, cards, loadConditionMultipliers(), { currency: loadSourcesConfig().baseCurrency });
+  assertValid('inventory-valuation', report, VALUATION_FILE);
+  fs.writeFileSync(path.join(DATA_DIR, VALUATION_FILE), JSON.stringify(report, null, 2), 'utf8');
+
+  const { totals, currency } = report;
+  console.log(`💰 Inventory value: ${totals.value.toFixed(2)} ${currency} ` +
+    `(${totals.pricedQuantity} of ${totals.quantity} card(s) priced, ${totals.lines} line(s))`);
+  for (const [condition, c] of Object.entries(report.byCondition).filter(([, c]) => c.quantity)) {
+    console.log(`   ${condition} ×${c.multiplier}\t${c.quantity} card(s)\t${c.value.toFixed(2)}`);
+  }
+  for (const s of report.bySet.slice(0, 10)) {
+    console.log(`   ${s.setId}\t${s.setName || ''}\t${s.quantity} card(s)\t${s.value.toFixed(2)}`);
+  }
+  if (report.unpriced.length) {
+    console.log(`⚠️ ${report.unpriced.length} in-stock line(s) without a price:`);
+    report.unpriced.slice(0, 20).forEach(u => console.log(`   ${u.cardId} ${u.printing || ''} ${u.condition} ×${u.quantity}: ${u.reason}`));
+  }
+  console.log(`📝 → ${path.relative(REPO_ROOT, path.join(DATA_DIR, VALUATION_FILE))}`);
+}
+
+function usage() {
+  console.error('Usage: node scripts/inventory.js <import <file.csv> [--add]|list|value>');
+  process.exit(2);
+}
+
+const [command, ...args] = process.argv.slice(2);
+switch (command) {
+  case 'import': importCSV(args.find(a => !a.startsWith('--')), args.includes('--add')); break;
+  case 'list':   list(); break;
+  case 'value':  value(); break;
+  default:       usage();
+}
@@ -0,0 +1,284 @@
+/**
+ * card-search.js
+ *
+ * Query module over `tcg-search-index.json` (written by merge-data.js).
+ * Has no Node dependencies so the storefront can use it too: pass a loader
+ * that returns parsed JSON for a data filename, e.g.
+ *
+ *   const search = await loadCardSearch(name => fetch(`/assets/${name}`).then(r => r.json()));
+ *   const { hits } = search.query('Psychic Rare Holo under $20 in Base series');
+ *   const cards = await search.fetchCards(hits);   // loads only the chunks holding hits
+ *
+ * Index rows are arrays in `FIELDS` order; strings that repeat (set, rarity,
+ * type, supertype) are stored as indexes into the index's dictionaries.
+ */
+
+export const INDEX_FILE = 'tcg-search-index.json';
+export const FIELDS = ['id', 'name', 'tokens', 'set', 'number', 'rarity', 'types', 'supertype', 'market', 'priceBucket', 'chunk'];
+export const PRICE_BUCKETS = [0, 1, 5, 10, 20, 50, 100, 500];
+
+const COL = Object.fromEntries(FIELDS.map((f, i) => [f, i]));
+
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/** Index of the highest bucket lower bound <= price, or -1 when unpriced. */
+export function priceBucket(price) {
+  if (!Number.isFinite(price) || price <= 0) return -1;
+  let b = 0;
+  PRICE_BUCKETS.forEach((lower, i) => { if (price >= lower) b = i; });
+  return b;
+}
+
+function naturalCompare(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Builds the compact index from written chunks ([{ name, cards }]). Cards
+ * are priced by their default printing's market price.
+ */
+export function buildSearchIndex(chunks, generatedAt = new Date().toISOString()) {
+  const dict = () => {
+    const values = [];
+    const lookup = new Map();
+    const idx = (v) => {
+      if (v === undefined || v === null || v === '') return -1;
+      if (!lookup.has(v)) { lookup.set(v, values.length); values.push(v); }
+      return lookup.get(v);
+    };
+    return { values, idx };
+  };
+  const rarities = dict();
+  const types = dict();
+  const supertypes = dict();
+  const sets = [];
+  const setIdx = new Map();
+  const cards = [];
+
+  chunks.forEach(({ cards: chunkCards }, chunk) => {
+    for (const card of chunkCards) {
+      const set = card.set || {};
+      if (!setIdx.has(set.id)) {
+        setIdx.set(set.id, sets.length);
+        sets.push({ id: set.id, name: set.name || null, series: set.series || null, releaseDate: set.releaseDate || null, lang: card.lang || null });
+      }
+      const market = Number.isFinite(card.pricing?.market) ? card.pricing.market : null;
+      cards.push([
+        card.id,
+        card.name,
+        tokenize(card.name).join(' '),
+        setIdx.get(set.id),
+        card.number,
+        rarities.idx(card.rarity),
+        (card.types || []).map(types.idx),
+        supertypes.idx(card.supertype),
+        market,
+        priceBucket(market),
+        chunk
+      ]);
+    }
+  });
+
+  return {
+    generatedAt,
+    fields: FIELDS,
+    priceBuckets: PRICE_BUCKETS,
+    chunks: chunks.map(c => c.name),
+    sets,
+    rarities: rarities.values,
+    types: types.values,
+    supertypes: supertypes.values,
+    cards
+  };
+}
+
+/** Index rows matching a filter object (see createCardSearch().query). */
+function filterRows(index, filters) {
+  const textTokens = tokenize(filters.text);
+  const want = (list, value) => list.indexOf(value);
+
+  const setIdx = filters.setId !== undefined ? index.sets.findIndex(x => x.id === filters.setId) : null;
+  const setsWhere = (fn) => new Set(index.sets.map((x, i) => (fn(x) ? i : -1)).filter(i => i >= 0));
+  const seriesSets = filters.series ? setsWhere(x => x.series === filters.series) : null;
+  const langSets = filters.lang ? setsWhere(x => (x.lang || 'en') === filters.lang) : null;
+  const rarityIdx = filters.rarity !== undefined ? want(index.rarities, filters.rarity) : null;
+  const supertypeIdx = filters.supertype !== undefined ? want(index.supertypes, filters.supertype) : null;
+  const typeIdxs = [].concat(filters.types || []).map(t => want(index.types, t));
+  // A value the dictionaries don't hold matches nothing (-1 also marks a missing rarity/supertype)
+  if (rarityIdx === -1 || supertypeIdx === -1 || typeIdxs.includes(-1)) return [];
+
+  return index.cards.filter(row => {
+    if (setIdx !== null && row[COL.set] !== setIdx) return false;
+    if (seriesSets && !seriesSets.has(row[COL.set])) return false;
+    if (langSets && !langSets.has(row[COL.set])) return false;
+    if (rarityIdx !== null && row[COL.rarity] !== rarityIdx) return false;
+    if (supertypeIdx !== null && row[COL.supertype] !== supertypeIdx) return false;
+    if (typeIdxs.some(t => !row[COL.types].includes(t))) return false;
+    const market = row[COL.market];
+    if (filters.minPrice !== undefined && !(market >= filters.minPrice)) return false;
+    if (filters.maxPrice !== undefined && !(market !== null && market <= filters.maxPrice)) return false;
+    if (filters.priceBucket !== undefined && row[COL.priceBucket] !== filters.priceBucket) return false;
+    if (textTokens.length) {
+      const tokens = row[COL.tokens].split(' ');
+      if (!textTokens.every(t => tokens.some(tok => tok.startsWith(t)))) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Parses phrases like "Psychic Rare Holo under $20 in Base series" into a
+ * filter object. Known types, rarities, supertypes, series and set names
+ * are matched longest-first; whatever is left becomes the name text.
+ *
+ * Rarity, type and supertype words are also parts of card names ("Rare
+ * Candy", "Fire Energy"): qualified types ("type fire", "fire type",
+ * "supertype energy") are always filters. Bare ones, and rarities, stay in
+ * the name text when that text is a whole card name, or when only the name
+ * reading matches any card; otherwise they are filters.
+ */
+export function parseQuery(text, index) {
+  const filters = {};
+  let s = ` ${String(text ?? '').trim()} `;
+
+  const take = (re, fn) => {
+    s = s.replace(re, (...m) => { fn(...m); return ' '; });
+  };
+  take(/\bbetween\s+\$?(\d+(?:\.\d+)?)\s+and\s+\$?(\d+(?:\.\d+)?)/i, (_, a, b) => { filters.minPrice = +a; filters.maxPrice = +b; });
+  take(/\b(?:under|below|less than)\s+\$?(\d+(?:\.\d+)?)/i, (_, a) => { filters.maxPrice = +a; });
+  take(/\b(?:over|above|more than)\s+\$?(\d+(?:\.\d+)?)/i, (_, a) => { filters.minPrice = +a; });
+
+  const phrase = (list, pattern = v => v) => {
+    const sorted = [...list].sort((a, b) => b.length - a.length);
+    for (const value of sorted) {
+      const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const re = new RegExp(`(?:\\bin\\s+)?(?<![\\w])${pattern(escaped)}(?![\\w])`, 'i');
+      if (re.test(s)) {
+        s = s.replace(re, ' ');
+        return value;
+      }
+    }
+    return undefined;
+  };
+
+  const qualified = (word) => v => `(?:${word}\\s+${v}|${v}[\\s-]+${word})`;
+  const series = phrase([...new Set(index.sets.map(x => x.series).filter(Boolean))], v => `${v}\\s+series`);
+  if (series) filters.series = series;
+  const set = phrase(index.sets.map(x => x.name).filter(Boolean), v => `${v}\\s+set`);
+  if (set) filters.setId = index.sets.find(x => x.name === set).id;
+
+  const types = [];
+  for (let t; (t = phrase(index.types, qualified('types?')));) types.push(t);
+  let supertype = phrase(index.supertypes, qualified('supertype'));
+
+  const rest = () => s.replace(/\s+/g, ' ').trim() || undefined;
+  const named = s;
+  // Rarities also read in reverse word order ("Holo Rare"), unless that names another rarity
+  const raritySpellings = new Map(index.rarities.map(r => [r, r]));
+  for (const r of index.rarities) {
+    const reversed = r.split(' ').reverse().join(' ');
+    if (!raritySpellings.has(reversed)) raritySpellings.set(reversed, r);
+  }
+  const rarity = raritySpellings.get(phrase([...raritySpellings.keys()]));
+  const bareTypes = [];
+  for (let t; (t = phrase(index.types));) bareTypes.push(t);
+  const bareSupertype = supertype ? undefined : phrase(index.supertypes);
+  if (rarity || bareTypes.length || bareSupertype) {
+    // Decided without the price filters, so the reading doesn't change as prices move
+    const { minPrice, maxPrice, ...base } = filters;
+    const nameText = named.replace(/\s+/g, ' ').trim();
+    const asName = filterRows(index, { ...base, types, supertype, text: nameText });
+    const exactName = asName.some(row => row[COL.tokens] === tokenize(nameText).join(' '));
+    const asFilters = { ...base, rarity, types: [...types, ...bareTypes], supertype: supertype ?? bareSupertype, text: rest() };
+    if (exactName || (asName.length && !filterRows(index, asFilters).length)) {
+      s = named;
+    } else {
+      if (rarity) filters.rarity = rarity;
+      types.push(...bareTypes);
+      supertype ??= bareSupertype;
+    }
+  }
+  if (types.length) filters.types = types;
+  if (supertype) filters.supertype = supertype;
+
+  const remaining = rest();
+  if (remaining) filters.text = remaining;
+  return filters;
+}
+
+export function createCardSearch(index, loadJson) {
+  const chunkCache = new Map();
+
+  const toHit = (row) => {
+    const set = index.sets[row[COL.set]];
+    return {
+      id: row[COL.id],
+      name: row[COL.name],
+      setId: set?.id,
+      setName: set?.name,
+      series: set?.series,
+      lang: set?.lang || 'en',
+      number: row[COL.number],
+      rarity: index.rarities[row[COL.rarity]] ?? null,
+      types: row[COL.types].map(t => index.types[t]),
+      supertype: index.supertypes[row[COL.supertype]] ?? null,
+      market: row[COL.market],
+      priceBucket: row[COL.priceBucket],
+      chunk: index.chunks[row[COL.chunk]]
+    };
+  };
+
+  /**
+   * Runs a query: either a phrase (see parseQuery) or a filter object
+   * { text, setId, series, lang, rarity, types, supertype, minPrice, maxPrice,
+   *   priceBucket, sort: 'name'|'number'|'price'|'-price'|'release', limit, offset }.
+   * Returns { total, hits, filters }.
+   */
+  function query(q = {}) {
+    const filters = typeof q === 'string' ? parseQuery(q, index) : { ...q };
+    const matched = filterRows(index, filters);
+
+    const sorters = {
+      name: (a, b) => naturalCompare(a[COL.name], b[COL.name]),
+      number: (a, b) => a[COL.set] - b[COL.set] || naturalCompare(a[COL.number], b[COL.number]),
+      price: (a, b) => (a[COL.market] ?? Infinity) - (b[COL.market] ?? Infinity),
+      '-price': (a, b) => (b[COL.market] ?? -Infinity) - (a[COL.market] ?? -Infinity),
+      release: (a, b) => naturalCompare(index.sets[a[COL.set]]?.releaseDate, index.sets[b[COL.set]]?.releaseDate)
+    };
+    if (filters.sort && sorters[filters.sort]) matched.sort(sorters[filters.sort]);
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit ?? matched.length;
+    return { total: matched.length, filters, hits: matched.slice(offset, offset + limit).map(toHit) };
+  }
+
+  /** Full card objects for hits, loading each needed chunk once. */
+  async function fetchCards(hits) {
+    const byChunk = new Map();
+    for (const h of hits) {
+      if (!byChunk.has(h.chunk)) byChunk.set(h.chunk, new Set());
+      byChunk.get(h.chunk).add(h.id);
+    }
+    const found = new Map();
+    for (const [chunk, ids] of byChunk) {
+      if (!chunkCache.has(chunk)) chunkCache.set(chunk, Promise.resolve(loadJson(chunk)));
+      const { cards = [] } = await chunkCache.get(chunk);
+      for (const card of cards) if (ids.has(card.id)) found.set(card.id, card);
+    }
+    return hits.map(h => found.get(h.id)).filter(Boolean);
+  }
+
+  return { index, query, fetchCards, parse: (text) => parseQuery(text, index) };
+}
+
+/** Loads the search index through `loadJson` and returns a searcher. */
+export async function loadCardSearch(loadJson) {
+  const index = await loadJson(INDEX_FILE);
+  return createCardSearch(index, loadJson);
+}
@@ -0,0 +1,191 @@
+/**
+ * card-store.js
+ *
+ * Per-set cache of pokemon-tcg-data shared by fetch-cards.js (writer) and
+ * merge-data.js (reader).
+ *
+ * Layout under STORE_DIR (default `.cache/cards`, override CARD_STORE_DIR):
+ *  - sets.json          sets list as published in `sets/en.json`
+ *  - sets/<setId>.json  bare array of cards for one set
+ *  - manifest.json      { source, run, setsList, sets: { [setId]: entry } }
+ *    where entry = { etag, lastModified, hash, count, fetchedAt }
+ *  - <lang>/...         the same layout for every other language (`ja/sets.json`,
+ *                       `ja/sets/<setId>.json`, ...), see scripts/lib/languages.js
+ *
+ * CARD_SOURCE (env POKEMON_TCG_DATA) is either a base URL (http/https) or a
+ * local directory laid out like the pokemon-tcg-data repo, so runs can be
+ * tested against a mirror instead of raw.githubusercontent.com.
+ */
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import process from 'process';
+import { DEFAULT_LANGUAGE, configuredLanguages } from './languages.js';
+
+export const DEFAULT_SOURCE = 'https://raw.githubusercontent.com/PokemonTCG/pokemon-tcg-data/master';
+export const CARD_SOURCE = process.env.POKEMON_TCG_DATA || DEFAULT_SOURCE;
+export const STORE_DIR = path.resolve(process.env.CARD_STORE_DIR || path.join(process.cwd(), '.cache', 'cards'));
+
+// --- helpers ---------------------------------------------------------------
+function readJson(p, fallback = null) {
+  if (!fs.existsSync(p)) return fallback;
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  // Write-then-rename so an interrupted run never leaves a truncated file
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj), 'utf8');
+  fs.renameSync(tmp, p);
+}
+
+export function hashContent(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+export function isRemoteSource(source = CARD_SOURCE) {
+  return /^https?:\/\//i.test(source);
+}
+
+function getText(url, headers) {
+  const client = url.startsWith('http:') ? http : https;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { headers }, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { data += chunk; });
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        body: data
+      }));
+    });
+
+    request.on('error', (error) => {
+      reject(new Error(`Request failed for ${url}: ${error.message}`));
+    });
+
+    request.setTimeout(30000, () => {
+      request.destroy();
+      reject(new Error(`Request timeout for ${url}`));
+    });
+  });
+}
+
+/**
+ * Fetches `relPath` (e.g. `cards/en/base1.json`) from CARD_SOURCE.
+ * `cached` is the previous manifest entry; it is used for conditional
+ * requests and to detect unchanged content by hash.
+ *
+ * Resolves { changed, data, meta } where `data` is the parsed JSON (null
+ * when unchanged) and `meta` is the manifest entry to store.
+ */
+export async function fetchSourceJSON(relPath, cached = null, source = CARD_SOURCE) {
+  let text, etag = null, lastModified = null;
+
+  if (isRemoteSource(source)) {
+    const url = `${source.replace(/\/+$/, '')}/${relPath}`;
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const res = await getText(url, headers);
+    if (res.status === 304 && cached) {
+      return { changed: false, data: null, meta: cached };
+    }
+    if (res.status !== 200) {
+      throw new Error(`Request failed for ${url}: HTTP ${res.status}`);
+    }
+    ({ etag, lastModified } = res);
+    text = res.body;
+  } else {
+    const file = path.join(path.resolve(source), relPath);
+    if (!fs.existsSync(file)) throw new Error(`Missing file in local mirror: ${file}`);
+    text = fs.readFileSync(file, 'utf8');
+  }
+
+  const hash = hashContent(text);
+  const meta = { etag, lastModified, hash };
+  if (cached?.hash === hash) {
+    return { changed: false, data: null, meta: { ...cached, ...meta } };
+  }
+
+  try {
+    return { changed: true, data: JSON.parse(text), meta };
+  } catch (error) {
+    throw new Error(`Failed to parse JSON from ${relPath}: ${error.message}`);
+  }
+}
+
+// --- store -----------------------------------------------------------------
+/** Store directory for a language; English stays at the root. */
+export function languageDir(lang = DEFAULT_LANGUAGE) {
+  return lang === DEFAULT_LANGUAGE ? STORE_DIR : path.join(STORE_DIR, lang);
+}
+
+export function readManifest(lang = DEFAULT_LANGUAGE) {
+  return readJson(path.join(languageDir(lang), 'manifest.json'), { source: CARD_SOURCE, run: null, setsList: null, sets: {} });
+}
+
+export function writeManifest(manifest, lang = DEFAULT_LANGUAGE) {
+  writeJson(path.join(languageDir(lang), 'manifest.json'), manifest);
+}
+
+export function saveSets(sets, lang = DEFAULT_LANGUAGE) {
+  writeJson(path.join(languageDir(lang), 'sets.json'), sets);
+}
+
+export function loadSets(lang = DEFAULT_LANGUAGE) {
+  return readJson(path.join(languageDir(lang), 'sets.json'), []);
+}
+
+export function setFile(setId, lang = DEFAULT_LANGUAGE) {
+  return path.join(languageDir(lang), 'sets', `${setId}.json`);
+}
+
+export function saveSetCards(setId, cards, lang = DEFAULT_LANGUAGE) {
+  writeJson(setFile(setId, lang), cards);
+}
+
+export function loadSetCards(setId, lang = DEFAULT_LANGUAGE) {
+  return readJson(setFile(setId, lang), null);
+}
+
+/** Card-level summary of a set, as embedded in merged cards. */
+export function setSummary(set) {
+  return {
+    id: set.id,
+    name: set.name,
+    series: set.series,
+    releaseDate: set.releaseDate,
+    printedTotal: set.printedTotal,
+    ptcgoCode: set.ptcgoCode
+  };
+}
+
+/**
+ * Returns every cached card of the given languages (default: CARD_LANGUAGES)
+ * as a bare array, language by language in sets-list order, with a `set`
+ * summary (pokemon-tcg-data card files don't embed it) and the card's
+ * `lang` attached. Throws when a language hasn't been fetched yet.
+ */
+export function loadCards(langs = configuredLanguages().map(l => l.code)) {
+  const cards = [];
+  for (const lang of langs) {
+    const sets = loadSets(lang);
+    if (!sets.length) {
+      throw new Error(`Card store has no "${lang}" sets (${languageDir(lang)}). Run: npm run fetch-cards`);
+    }
+    for (const set of sets) {
+      const setCards = loadSetCards(set.id, lang);
+      if (!setCards) continue;
+      const summary = setSummary(set);
+      for (const card of setCards) cards.push({ ...card, set: card.set || summary, lang });
+    }
+  }
+  return cards;
+}
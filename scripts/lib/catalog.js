@@ -0,0 +1,48 @@
+/**
+ * catalog.js
+ *
+ * Reads the merged catalog written by merge-data.js: the chunk files listed
+ * in `tcg-cards-index.json` (or every `tcg-cards-chunk-#.json` when the
+ * index has no list, as in older committed data).
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+
+export const DATA_DIR = path.join(process.cwd(), 'data');
+// Every chunk filename merge-data.js can write (size, set and series modes)
+export const CHUNK_FILE_PATTERN = /^tcg-cards-(chunk|set|series)-[\w.-]+\.json$/;
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+export function loadIndex(dataDir = DATA_DIR) {
+  const p = path.join(dataDir, 'tcg-cards-index.json');
+  return fs.existsSync(p) ? readJson(p) : null;
+}
+
+/** Chunk filenames in order. */
+export function chunkFiles(dataDir = DATA_DIR, index = loadIndex(dataDir)) {
+  if (Array.isArray(index?.chunks) && index.chunks.length) return index.chunks;
+  if (!fs.existsSync(dataDir)) return [];
+  return fs.readdirSync(dataDir)
+    .filter(f => /^tcg-cards-chunk-\d+\.json$/.test(f))
+    .sort((a, b) => parseInt(a.match(/\d+/)[0], 10) - parseInt(b.match(/\d+/)[0], 10));
+}
+
+export function loadChunk(name, dataDir = DATA_DIR) {
+  return readJson(path.join(dataDir, name)).cards || [];
+}
+
+/** Async loader for card-search.js: data filename → parsed JSON. */
+export function jsonLoader(dataDir = DATA_DIR) {
+  return async (name) => readJson(path.join(dataDir, name));
+}
+
+/** Every merged card, in chunk order. */
+export function loadMergedCards(dataDir = DATA_DIR) {
+  const files = chunkFiles(dataDir);
+  if (!files.length) throw new Error(`No merged card chunks in ${dataDir}. Run: npm run merge-data`);
+  return files.flatMap(name => loadChunk(name, dataDir));
+}
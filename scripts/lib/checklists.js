@@ -0,0 +1,157 @@
+/**
+ * checklists.js
+ *
+ * Per-set checklists built from merged cards: cards in collector-number
+ * order with one row per printing, what completing the set costs at market
+ * price and, given a collection (scripts/lib/inventory.js format), what is
+ * still missing.
+ *
+ * Number order: plain numbers first (1, 2, 10, 102, then secret rares past
+ * the set's printedTotal), then prefixed subsets by prefix (GG01…, SV001…,
+ * TG05…), then anything without digits. Leading zeros and letter suffixes
+ * ("1a") sort naturally.
+ */
+import { toCSV } from './csv.js';
+import { PRINTINGS, defaultPrinting, knownPrintings, printingLabel } from './printings.js';
+
+export const CHECKLIST_VERSION = 1;
+export const CHECKLIST_FILE_PATTERN = /^tcg-checklist-[\w.-]+\.json$/;
+export const CSV_HEADERS = ['Have', 'Number', 'Name', 'Printing', 'Rarity', 'Market', 'Notes'];
+
+export function checklistFile(setId) {
+  return `tcg-checklist-${setId}.json`;
+}
+
+function numberParts(number) {
+  const s = String(number ?? '').trim();
+  const m = s.match(/^([A-Za-z]*)(\d+)(.*)$/);
+  if (!m) return { rank: 2, prefix: s.toUpperCase(), value: 0, rest: '' };
+  return { rank: m[1] ? 1 : 0, prefix: m[1].toUpperCase(), value: Number(m[2]), rest: m[3].toLowerCase() };
+}
+
+/** Natural collector-number order (see the module comment). */
+export function compareCardNumbers(a, b) {
+  const x = numberParts(a);
+  const y = numberParts(b);
+  return x.rank - y.rank
+    || x.prefix.localeCompare(y.prefix)
+    || x.value - y.value
+    || x.rest.localeCompare(y.rest)
+    || String(a).localeCompare(String(b));
+}
+
+function printingOrder(printing) {
+  const i = PRINTINGS.indexOf(printing);
+  return i === -1 ? PRINTINGS.length : i;
+}
+
+const money = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Checklist for one set's merged `cards` (all sharing `set`): a row per
+ * known printing (see knownPrintings), with a null `market` where no source
+ * prices it. `secret` is null when the set's printedTotal is unknown
+ * (missing or 0).
+ */
+export function buildChecklist(set, cards, { currency = 'USD' } = {}) {
+  const printedTotal = Number.isInteger(set.printedTotal) && set.printedTotal > 0 ? set.printedTotal : null;
+  const sorted = [...cards].sort((a, b) => compareCardNumbers(a.number, b.number) || a.id.localeCompare(b.id));
+  const rows = [];
+  const totals = { cards: sorted.length, rows: 0, pricedRows: 0, unpricedCards: 0, secretCards: 0, completeSet: 0, masterSet: 0 };
+
+  for (const card of sorted) {
+    const parts = numberParts(card.number);
+    let secret = false;
+    if (parts.rank === 0) secret = printedTotal === null ? null : parts.value > printedTotal;
+    if (secret) totals.secretCards++;
+    const base = {
+      number: card.number,
+      cardId: card.id,
+      name: card.name,
+      rarity: card.rarity ?? null,
+      subset: parts.rank === 1 ? parts.prefix : null,
+      secret
+    };
+    const printings = knownPrintings(card).sort((a, b) => printingOrder(a) - printingOrder(b));
+    const main = card.pricing?.printing ?? defaultPrinting(Object.fromEntries(printings.map(p => [p, true])), card) ?? printings[0];
+    let priced = false;
+    for (const printing of printings) {
+      const entry = card.prices?.[printing];
+      const market = entry?.market ?? entry?.mid ?? null;
+      rows.push({ ...base, printing, default: printing === main, market });
+      if (market === null) continue;
+      priced = true;
+      totals.pricedRows++;
+      totals.masterSet += market;
+      if (printing === main) totals.completeSet += market;
+    }
+    if (!priced) totals.unpricedCards++;
+  }
+
+  totals.rows = rows.length;
+  totals.completeSet = money(totals.completeSet);
+  totals.masterSet = money(totals.masterSet);
+  return {
+    version: CHECKLIST_VERSION,
+    setId: set.id,
+    name: set.name ?? null,
+    series: set.series ?? null,
+    releaseDate: set.releaseDate ?? null,
+    printedTotal,
+    currency,
+    totals,
+    rows
+  };
+}
+
+/**
+ * Marks what a collection (inventory items, any condition) owns: each row
+ * gets `owned`, and the checklist gains `missing` totals plus the `top`
+ * most expensive missing rows. An item without a printing stands for the
+ * card's default printing; owning any printing of a card completes it for
+ * the set (the master set needs every row).
+ */
+export function applyCollection(checklist, items, { top = 10 } = {}) {
+  const owned = new Map();
+  for (const item of items) {
+    const k = `${item.cardId}|${item.printing || ''}`;
+    owned.set(k, (owned.get(k) || 0) + item.quantity);
+  }
+  const ownedFor = (r) => {
+    const exact = owned.get(`${r.cardId}|${r.printing || ''}`) || 0;
+    // Items without a printing count toward the default printing's row
+    const unspecified = r.default && r.printing ? owned.get(`${r.cardId}|`) || 0 : 0;
+    return exact + unspecified;
+  };
+  const rows = checklist.rows.map(r => ({ ...r, owned: ownedFor(r) }));
+
+  const ownedCards = new Set(rows.filter(r => r.owned).map(r => r.cardId));
+  const missingRows = rows.filter(r => !r.owned);
+  const missing = {
+    cards: checklist.totals.cards - ownedCards.size,
+    rows: missingRows.length,
+    completeSet: money(missingRows.filter(r => r.default && !ownedCards.has(r.cardId)).reduce((n, r) => n + (r.market ?? 0), 0)),
+    masterSet: money(missingRows.reduce((n, r) => n + (r.market ?? 0), 0))
+  };
+  const mostExpensiveMissing = missingRows
+    .filter(r => r.market !== null)
+    .sort((a, b) => b.market - a.market || compareCardNumbers(a.number, b.number))
+    .slice(0, top)
+    .map(({ cardId, number, name, printing, market }) => ({ cardId, number, name, printing, market }));
+
+  return { ...checklist, rows, missing, mostExpensiveMissing };
+}
+
+/** Printable checklist: a tick box (or owned count) per printing row. */
+export function checklistCSV(checklist) {
+  const rows = checklist.rows.map(r => ({
+    Have: r.owned ? String(r.owned) : '[ ]',
+    Number: r.number,
+    Name: r.name,
+    Printing: r.printing ? printingLabel(r.printing) : '',
+    Rarity: r.rarity || '',
+    Market: r.market === null ? '' : r.market.toFixed(2),
+    Notes: [r.secret ? 'secret' : '', r.subset ? `${r.subset} subset` : ''].filter(Boolean).join('; ')
+  }));
+  return toCSV(rows, CSV_HEADERS);
+}
@@ -0,0 +1,119 @@
+/**
+ * conditions.js
+ *
+ * Raw card conditions (NM/LP/MP/HP/DMG), graded slabs (PSA/BGS/CGC) and
+ * the model that estimates a played copy's price from the near-mint market
+ * price. Pricing keys carry either as an optional fifth slot
+ * (`base1|4|holofoil|EN|LP`, `base1|4|holofoil|EN|PSA10`); keys without
+ * one are raw near-mint prices.
+ *
+ * The model lives in `config/condition-multipliers.json` (override the path
+ * with CONDITION_MULTIPLIERS_FILE):
+ *
+ *  {
+ *    version: 1,
+ *    multipliers: { NM: 1, LP: 0.85, MP: 0.7, HP: 0.5, DMG: 0.3 },
+ *    byRarity: { "Common": { LP: 0.8, MP: 0.6 } },  // per card rarity, falls back to multipliers
+ *    estimate: true                                  // write estimated condition prices when merging
+ *  }
+ *
+ * Conditions left out keep their default multiplier.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+export const DEFAULT_CONDITION = 'NM';
+export const GRADERS = ['PSA', 'BGS', 'CGC'];
+export const MULTIPLIERS_VERSION = 1;
+export const MULTIPLIERS_FILE = process.env.CONDITION_MULTIPLIERS_FILE ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'condition-multipliers.json');
+
+const DEFAULT_MULTIPLIERS = { NM: 1, LP: 0.85, MP: 0.7, HP: 0.5, DMG: 0.3 };
+
+// Spellings seen in store and marketplace exports
+const ALIASES = {
+  'near mint': 'NM', 'mint': 'NM', 'nm/m': 'NM',
+  'lightly played': 'LP', 'light play': 'LP', 'excellent': 'LP', 'ex': 'LP',
+  'moderately played': 'MP', 'moderate play': 'MP', 'played': 'MP',
+  'heavily played': 'HP', 'heavy play': 'HP', 'poor': 'HP',
+  'damaged': 'DMG'
+};
+
+/** "Lightly Played" / "lp" / "LP" → "LP"; blank → NM. Throws on anything else. */
+export function normalizeCondition(value) {
+  const s = String(value ?? '').trim();
+  if (!s) return DEFAULT_CONDITION;
+  const upper = s.toUpperCase();
+  if (CONDITIONS.includes(upper)) return upper;
+  const alias = ALIASES[s.toLowerCase().replace(/[\s_-]+/g, ' ')];
+  if (alias) return alias;
+  throw new Error(`Unknown condition "${value}" (expected ${CONDITIONS.join(', ')})`);
+}
+
+/**
+ * ("PSA", "10") or ("", "BGS 9.5") → "PSA10" / "BGS9.5". Grades run 1–10 in
+ * half steps. Throws on unknown graders or grades.
+ */
+export function normalizeGrade(grader, grade) {
+  const text = `${grader ?? ''} ${grade ?? ''}`.trim();
+  const m = text.match(/^([a-z]+)\s*(?:grade\s*)?(\d+(?:\.\d)?)$/i);
+  if (!m || !GRADERS.includes(m[1].toUpperCase())) {
+    throw new Error(`Unknown grade "${text}" (expected ${GRADERS.join('/')} 1–10)`);
+  }
+  const value = Number(m[2]);
+  if (value < 1 || value > 10 || value * 2 !== Math.round(value * 2)) throw new Error(`Invalid grade "${text}" (1–10 in half steps)`);
+  return `${m[1].toUpperCase()}${value}`;
+}
+
+/**
+ * Pricing key slot for a source row's condition or grade: null for a raw
+ * near-mint price, "LP", or "PSA10". A grade wins over a condition.
+ */
+export function priceVariant({ condition, grader, grade } = {}) {
+  if (String(grade ?? '').trim() || String(grader ?? '').trim()) return normalizeGrade(grader, grade);
+  const c = normalizeCondition(condition);
+  return c === DEFAULT_CONDITION ? null : c;
+}
+
+/** "LP" → { condition: "LP" }, "PSA10" → { grade: "PSA10" }, "" → null. */
+export function parseVariant(slot) {
+  if (!slot) return null;
+  return CONDITIONS.includes(slot) ? { condition: slot } : { grade: slot };
+}
+
+function checkMultipliers(values, where, file) {
+  const out = {};
+  for (const [condition, value] of Object.entries(values || {})) {
+    if (!CONDITIONS.includes(condition)) throw new Error(`Unknown condition "${condition}" in ${where} of ${file} (expected ${CONDITIONS.join(', ')})`);
+    if (!Number.isFinite(value) || value < 0) throw new Error(`Invalid multiplier for ${condition} in ${where} of ${file}: expected a number >= 0`);
+    out[condition] = value;
+  }
+  return out;
+}
+
+/** The whole model: { multipliers, byRarity: { rarity: multipliers }, estimate }. */
+export function loadConditionModel(file = MULTIPLIERS_FILE) {
+  if (!fs.existsSync(file)) return { multipliers: { ...DEFAULT_MULTIPLIERS }, byRarity: {}, estimate: true };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.version !== MULTIPLIERS_VERSION) {
+    throw new Error(`Unsupported condition multipliers version ${data.version} in ${file}`);
+  }
+  const multipliers = { ...DEFAULT_MULTIPLIERS, ...checkMultipliers(data.multipliers, 'multipliers', file) };
+  const byRarity = {};
+  for (const [rarity, values] of Object.entries(data.byRarity || {})) {
+    byRarity[rarity.toLowerCase()] = { ...multipliers, ...checkMultipliers(values, `byRarity "${rarity}"`, file) };
+  }
+  return { multipliers, byRarity, estimate: data.estimate !== false };
+}
+
+/** Flat condition → multiplier map (inventory valuation's fallback). */
+export function loadConditionMultipliers(file = MULTIPLIERS_FILE) {
+  return loadConditionModel(file).multipliers;
+}
+
+/** Multiplier for a card of `rarity` in `condition` under `model`. */
+export function conditionMultiplier(model, rarity, condition) {
+  return (model.byRarity[String(rarity ?? '').toLowerCase()] || model.multipliers)[condition];
+}
@@ -0,0 +1,112 @@
+/**
+ * csv.js
+ *
+ * Small delimited-text reader/writer shared by the pricing scripts.
+ * Handles quoted fields (including embedded delimiters, doubled quotes
+ * and newlines), CRLF line endings and a leading BOM.
+ */
+
+/**
+ * Guesses the delimiter from the header line: tab if it has more tabs
+ * than commas outside of quotes, comma otherwise.
+ */
+export function detectDelimiter(text) {
+  let tabs = 0, commas = 0, inQuotes = false;
+  for (const ch of String(text)) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && ch === '\t') tabs++;
+    else if (!inQuotes && ch === ',') commas++;
+    else if (!inQuotes && ch === '\n') break;
+  }
+  return tabs > commas ? '\t' : ',';
+}
+
+/**
+ * Parses delimited text into an array of records (arrays of strings).
+ * Blank lines are skipped.
+ */
+export function parseDelimited(text, { delimiter } = {}) {
+  const s = String(text ?? '').replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(s);
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  while (i < s.length) {
+    const ch = s[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (s[i + 1] === '"') { field += '"'; i += 2; continue; }
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      i++;
+    } else if (ch === '"') {
+      inQuotes = true;
+      i++;
+    } else if (ch === sep) {
+      record.push(field);
+      field = '';
+      i++;
+    } else if (ch === '\r' && s[i + 1] === '\n') {
+      endRecord();
+      i += 2;
+    } else if (ch === '\n' || ch === '\r') {
+      endRecord();
+      i++;
+    } else {
+      field += ch;
+      i++;
+    }
+  }
+  if (field !== '' || record.length) endRecord();
+
+  return records;
+}
+
+/**
+ * Turns parsed records into objects keyed by the header row.
+ * With `omitEmpty`, blank cells are left out so `??` fallbacks still apply.
+ */
+export function recordsToObjects(records, { omitEmpty = false } = {}) {
+  if (!records.length) return [];
+  const headers = records[0].map(h => h.trim());
+  return records.slice(1).map(fields => {
+    const row = {};
+    headers.forEach((h, idx) => {
+      const v = (fields[idx] ?? '').trim();
+      if (omitEmpty && v === '') return;
+      row[h] = v;
+    });
+    return row;
+  });
+}
+
+/** Convenience: parse text straight to header-keyed row objects. */
+export function parseCSV(text, options = {}) {
+  return recordsToObjects(parseDelimited(text, options), options);
+}
+
+/** Serializes row objects back to delimited text using `headers` as columns. */
+export function toCSV(rows, headers, { delimiter = ',' } = {}) {
+  const quote = (value) => {
+    const v = String(value ?? '');
+    if (v.includes(delimiter) || v.includes('"') || v.includes('\n') || v.includes('\r')) {
+      return `"${v.replace(/"/g, '""')}"`;
+    }
+    return v;
+  };
+  const lines = [headers.map(quote).join(delimiter)];
+  for (const row of rows) lines.push(headers.map(h => quote(row[h])).join(delimiter));
+  return lines.join('\n') + '\n';
+}
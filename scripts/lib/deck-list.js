@@ -0,0 +1,290 @@
+/**
+ * deck-list.js
+ *
+ * Parses PTCGL / PTCGO deck list exports and prices them from the merged
+ * catalog.
+ *
+ *   Pokémon: 12                        ##Pokémon - 12          (section headers)
+ *   4 Pikachu ex SVI 63                * 4 Pikachu SSH 65      (qty, name, set code, number)
+ *   12 Basic {L} Energy SVE 4          * 8 Lightning Energy Energy 4
+ *   4 Professor's Research                                     (name only)
+ *
+ * Set codes are resolved through the sets' `ptcgoCode`, then any spelling the
+ * set alias registry knows (id, name, aliases). "Energy" as a set code
+ * means a basic energy from any set. Pricing modes:
+ *  - specific: the exact card listed, at its default printing's price
+ *  - cheapest: the cheapest printing among the card's reprints, which play
+ *    the same: the exact same name ("Pikachu ex" is not "Pikachu-EX"),
+ *    supertype, attacks, abilities and rules text. A card whose text the
+ *    catalog lacks is only its own reprint. Basic energies of one type are
+ *    the exception: any printing stands for any other.
+ */
+import { aliasKey } from './set-aliases.js';
+import { normalizeName, nameSimilarity } from './name-match.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+
+export const PRICING_MODES = ['specific', 'cheapest'];
+
+const SECTIONS = { pokemon: 'Pokémon', trainer: 'Trainer', energy: 'Energy' };
+const SECTION_HEADER = /^(?:#+\s*)?(pok[eé]mon|trainers?(?: cards)?|energy)\s*(?:[:\-–]\s*\d*)?\s*$/i;
+const IGNORED_LINE = /^(?:\*{3,}.*|total cards\s*[:\-–].*|deck list generated.*)$/i;
+const CARD_LINE = /^\*?\s*(\d+)\s*x?\s+(.+)$/i;
+const SET_CODE = /^(?=.*[A-Z])[A-Z0-9][A-Za-z0-9-]{1,9}$/;
+const CARD_NUMBER = /^[A-Za-z]{0,5}\d+[A-Za-z]?$/;
+const ENERGY_SYMBOLS = { G: 'grass', R: 'fire', W: 'water', L: 'lightning', P: 'psychic', F: 'fighting', D: 'darkness', M: 'metal', Y: 'fairy' };
+const MAX_SUGGESTIONS = 5;
+
+function sectionOf(header) {
+  const h = header.toLowerCase();
+  if (h.startsWith('pok')) return SECTIONS.pokemon;
+  return h.startsWith('trainer') ? SECTIONS.trainer : SECTIONS.energy;
+}
+
+/**
+ * Splits deck list text into card lines:
+ * [{ line, raw, section, quantity, name, setCode, number }]. Lines that are
+ * neither headers, totals nor cards come back in `unparsed`.
+ */
+export function parseDeckList(text) {
+  const entries = [];
+  const unparsed = [];
+  let section = null;
+  String(text ?? '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, i) => {
+    const raw = rawLine.trim();
+    const line = i + 1;
+    if (!raw || IGNORED_LINE.test(raw)) return;
+    const header = raw.match(SECTION_HEADER);
+    if (header) {
+      section = sectionOf(header[1]);
+      return;
+    }
+    const m = raw.match(CARD_LINE);
+    if (!m || Number(m[1]) < 1) {
+      unparsed.push({ line, raw });
+      return;
+    }
+    const tokens = m[2].trim().split(/\s+/);
+    let setCode = null;
+    let number = null;
+    if (tokens.length >= 3 && CARD_NUMBER.test(tokens.at(-1)) && SET_CODE.test(tokens.at(-2))) {
+      number = tokens.pop();
+      setCode = tokens.pop();
+    }
+    entries.push({ line, raw, section, quantity: Number(m[1]), name: tokens.join(' '), setCode, number });
+  });
+  return { entries, unparsed };
+}
+
+/** Deck and catalog names compared alike: "Basic {L} Energy" = "Lightning Energy". */
+export function deckCardName(name) {
+  const s = String(name ?? '')
+    .replace(/\{([GRWLPFDMY])\}/gi, (_, t) => ENERGY_SYMBOLS[t.toUpperCase()])
+    .replace(/^basic\s+(?=\w+\s+energy$)/i, '');
+  return normalizeName(s);
+}
+
+/** "SV049" → "SV49", "065" → "65": card numbers without leading zeros. */
+function numberKey(number) {
+  return String(number ?? '').toUpperCase().replace(/(^|[A-Z])0+(?=\d)/g, '$1');
+}
+
+function unitPrice(entry) {
+  const v = entry?.market ?? entry?.mid;
+  return Number.isFinite(v) ? v : null;
+}
+
+const BASIC_ENERGY_NAMES = new Set(Object.values(ENERGY_SYMBOLS).map(t => `${t} energy`));
+
+/** Basic energy by subtype, or by name when the catalog has no subtypes. */
+function isBasicEnergy(card) {
+  if (card.supertype !== 'Energy') return false;
+  return card.subtypes ? card.subtypes.includes('Basic') : BASIC_ENERGY_NAMES.has(deckCardName(card.name));
+}
+
+/** What a card does in play (attacks, abilities, rules), or null when the catalog has none of it. */
+function playText(card) {
+  const attacks = (card.attacks || []).map(a => [a.name, (a.cost || []).join(','), a.damage || '', a.text || '']);
+  const abilities = (card.abilities || []).map(a => [a.type || '', a.name, a.text || '']);
+  const rules = card.rules || [];
+  if (!attacks.length && !abilities.length && !rules.length) return null;
+  return JSON.stringify([attacks, abilities, rules]);
+}
+
+/** True when `b` is a reprint of `a` (see the module comment). */
+function isReprint(a, b) {
+  if (a === b || a.id === b.id) return true;
+  if (a.supertype !== b.supertype) return false;
+  if (isBasicEnergy(a)) return isBasicEnergy(b) && deckCardName(a.name) === deckCardName(b.name);
+  const exactName = (card) => String(card.name ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+  const text = playText(a);
+  return text !== null && exactName(a) === exactName(b) && text === playText(b);
+}
+
+/** Every priced printing of a card as [{ printing, unit }]. */
+function printingPrices(card) {
+  const prices = card.prices || (card.pricing ? { [card.pricing.printing]: card.pricing } : {});
+  return Object.entries(prices)
+    .map(([printing, entry]) => ({ printing, unit: unitPrice(entry) }))
+    .filter(p => p.unit !== null);
+}
+
+/**
+ * Builds a pricer over merged `cards` (only DEFAULT_LANGUAGE cards: deck
+ * lists name English printings), `sets` ([{ id, name, ptcgoCode }]) and an
+ * optional set alias `resolver` (scripts/lib/set-aliases.js).
+ */
+export function createDeckPricer({ cards, sets, resolver = null, currency = 'USD' }) {
+  const pool = cards.filter(c => (c.lang || DEFAULT_LANGUAGE) === DEFAULT_LANGUAGE);
+  const setsById = new Map(sets.map(s => [String(s.id).toLowerCase(), s]));
+  const setsByCode = new Map();
+  for (const s of sets) {
+    if (!s.ptcgoCode) continue;
+    const k = aliasKey(s.ptcgoCode);
+    if (!setsByCode.has(k)) setsByCode.set(k, []);
+    setsByCode.get(k).push(String(s.id).toLowerCase());
+  }
+  const bySetNumber = new Map();
+  const byName = new Map();
+  for (const card of pool) {
+    const setId = String(card.set?.id || '').toLowerCase();
+    bySetNumber.set(`${setId}|${numberKey(card.number)}`, card);
+    const name = deckCardName(card.name);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(card);
+  }
+
+  const codeFor = (setId) => setsById.get(setId)?.ptcgoCode || setId;
+  const describe = (card) => `${card.name} ${codeFor(String(card.set?.id).toLowerCase())} ${card.number} (${card.set?.name || card.set?.id})`;
+
+  function setIdsForCode(code) {
+    const byCode = setsByCode.get(aliasKey(code));
+    if (byCode) return byCode;
+    const resolved = resolver?.resolveCode(code) || (setsById.has(code.toLowerCase()) ? code.toLowerCase() : null);
+    return resolved ? [resolved] : [];
+  }
+
+  /** Closest catalog names, for lines whose name matched nothing. */
+  function similarNames(name) {
+    return [...byName.values()]
+      .map(list => ({ card: list[0], score: nameSimilarity(name, list[0].name) }))
+      .filter(s => s.score >= 0.5)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(s => s.card);
+  }
+
+  function suggestionsFor(entry, inSets = []) {
+    const inSet = (c) => inSets.includes(String(c.set?.id).toLowerCase());
+    const same = byName.get(deckCardName(entry.name)) || [];
+    const preferred = [...same.filter(inSet), ...same.filter(c => !inSet(c))];
+    return (preferred.length ? preferred : similarNames(entry.name)).slice(0, MAX_SUGGESTIONS).map(describe);
+  }
+
+  /**
+   * { card } for a parsed entry, { card, ambiguous: [cards] } for a name
+   * with several printings, or { reason, suggestions }.
+   */
+  function resolveEntry(entry) {
+    const energyOnly = entry.setCode && entry.setCode.toLowerCase() === 'energy';
+    if (entry.setCode && !energyOnly) {
+      const setIds = setIdsForCode(entry.setCode);
+      if (!setIds.length) return { reason: `unknown set code "${entry.setCode}"`, suggestions: suggestionsFor(entry) };
+      const card = setIds.map(id => bySetNumber.get(`${id}|${numberKey(entry.number)}`)).find(Boolean);
+      if (!card) {
+        return { reason: `no #${entry.number} in ${setIds.join('/')} (${entry.setCode})`, suggestions: suggestionsFor(entry, setIds) };
+      }
+      if (deckCardName(card.name) !== deckCardName(entry.name)) {
+        return { reason: `${entry.setCode} ${entry.number} is ${card.name}, not ${entry.name}`, suggestions: suggestionsFor(entry, setIds) };
+      }
+      return { card };
+    }
+
+    // Name only, or a basic energy from any set
+    const candidates = (byName.get(deckCardName(entry.name)) || []).filter(c => !energyOnly || c.supertype === 'Energy');
+    if (!candidates.length) return { reason: `no card named "${entry.name}"`, suggestions: suggestionsFor(entry) };
+    // Basic energies are interchangeable, so any printing stands for the line
+    if (candidates.length === 1 || energyOnly) return { card: candidates[0] };
+    return { card: candidates[0], ambiguous: candidates };
+  }
+
+  /** Cheapest priced printing among the card's reprints. */
+  function cheapest(card) {
+    let best = null;
+    for (const c of byName.get(deckCardName(card.name)) || []) {
+      if (!isReprint(card, c)) continue;
+      for (const p of printingPrices(c)) {
+        if (!best || p.unit < best.unit) best = { card: c, ...p };
+      }
+    }
+    return best;
+  }
+
+  /** Prices parsed entries; returns the deck report (JSON output of scripts/price-deck.js). */
+  function price({ entries, unparsed = [] }, { mode = 'specific' } = {}) {
+    if (!PRICING_MODES.includes(mode)) throw new Error(`Unknown pricing mode "${mode}" (expected ${PRICING_MODES.join(' or ')})`);
+    const lines = [];
+    const unresolved = unparsed.map(u => ({ ...u, quantity: null, reason: 'not a deck list line', suggestions: [] }));
+    const unpriced = [];
+    const sections = {};
+    const totals = { cards: 0, resolvedCards: 0, pricedCards: 0, value: 0 };
+
+    for (const entry of entries) {
+      totals.cards += entry.quantity;
+      const r = resolveEntry(entry);
+      // Cheapest mode may pick among a name's printings only when they are all reprints of one card
+      const ambiguous = r.ambiguous && (mode === 'specific' || !r.ambiguous.every(c => isReprint(r.card, c)));
+      if (!r.card || ambiguous) {
+        unresolved.push({
+          line: entry.line, raw: entry.raw, quantity: entry.quantity,
+          reason: r.reason || (mode === 'specific'
+            ? `"${entry.name}" has ${r.ambiguous.length} printings; add a set code and number`
+            : `"${entry.name}" names ${r.ambiguous.length} cards that are not all reprints; add a set code and number`),
+          suggestions: r.suggestions || r.ambiguous.slice(0, MAX_SUGGESTIONS).map(describe)
+        });
+        continue;
+      }
+      totals.resolvedCards += entry.quantity;
+
+      let chosen;
+      if (mode === 'cheapest') {
+        chosen = cheapest(r.card);
+      } else {
+        const unit = unitPrice(r.card.pricing);
+        chosen = unit === null ? null : { card: r.card, printing: r.card.pricing.printing, unit };
+      }
+      const section = entry.section || (Object.values(SECTIONS).includes(r.card.supertype) ? r.card.supertype : 'Other');
+      const s = sections[section] ||= { cards: 0, value: 0 };
+      s.cards += entry.quantity;
+
+      const line = {
+        line: entry.line,
+        section,
+        quantity: entry.quantity,
+        name: entry.name,
+        setCode: entry.setCode,
+        number: entry.number,
+        cardId: r.card.id,
+        pricedCardId: chosen?.card.id ?? null,
+        printing: chosen?.printing ?? null,
+        unitPrice: chosen ? chosen.unit : null,
+        value: chosen ? Math.round(chosen.unit * entry.quantity * 100) / 100 : null
+      };
+      lines.push(line);
+      if (!chosen) {
+        unpriced.push({ line: entry.line, raw: entry.raw, cardId: r.card.id, quantity: entry.quantity,
+          reason: mode === 'cheapest' ? 'no printing of this card has a price' : 'card has no price' });
+        continue;
+      }
+      totals.pricedCards += entry.quantity;
+      totals.value += line.value;
+      s.value += line.value;
+    }
+
+    const money = (n) => Math.round(n * 100) / 100;
+    totals.value = money(totals.value);
+    for (const s of Object.values(sections)) s.value = money(s.value);
+    return { mode, currency, totals, sections, lines, unresolved: unresolved.sort((a, b) => a.line - b.line), unpriced };
+  }
+
+  return { resolveEntry, price };
+}
@@ -0,0 +1,223 @@
+/**
+ * inventory.js
+ *
+ * What the store owns, one line per card id + printing + condition, and
+ * its valuation against the merged catalog's prices.
+ *
+ * File shape (`config/inventory.json`, override with INVENTORY_FILE):
+ *  {
+ *    version: 1,
+ *    items: [
+ *      { cardId: "base1-4", printing: "unlimitedHolofoil", condition: "LP", quantity: 2, note: "" },
+ *      { cardId: "sv1-1", printing: null, condition: "NM", quantity: 4 }   // null: the card's default printing
+ *    ]
+ *  }
+ *
+ * CSV import columns (header names are case-insensitive): id | cardId |
+ * card_id, printing | finish | variant (optional), condition (optional,
+ * default NM), quantity | qty | count (optional, default 1).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCSV } from './csv.js';
+import { normalizePrinting } from './printings.js';
+import { CONDITIONS, DEFAULT_CONDITION, normalizeCondition } from './conditions.js';
+
+export const INVENTORY_VERSION = 1;
+export const INVENTORY_FILE = process.env.INVENTORY_FILE ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'inventory.json');
+export const VALUATION_FILE = 'inventory-valuation.json';
+export const VALUATION_VERSION = 1;
+
+const COLUMNS = {
+  cardId: ['id', 'cardid', 'card_id', 'card id'],
+  printing: ['printing', 'finish', 'variant'],
+  condition: ['condition'],
+  quantity: ['quantity', 'qty', 'count']
+};
+
+export function itemKey(item) {
+  return `${item.cardId}|${item.printing || ''}|${item.condition}`;
+}
+
+function checkItem(item, where) {
+  if (!item || typeof item !== 'object') throw new Error(`Invalid ${where}: expected an object`);
+  if (!item.cardId || typeof item.cardId !== 'string') throw new Error(`Invalid ${where}: needs a cardId`);
+  if (!CONDITIONS.includes(item.condition)) throw new Error(`Invalid ${where}: condition must be one of ${CONDITIONS.join(', ')}`);
+  if (!Number.isInteger(item.quantity) || item.quantity < 1) throw new Error(`Invalid ${where}: quantity must be a whole number >= 1`);
+}
+
+export function loadInventory(file = INVENTORY_FILE) {
+  if (!fs.existsSync(file)) return { version: INVENTORY_VERSION, items: [] };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.version !== INVENTORY_VERSION) throw new Error(`Unsupported inventory version ${data.version} in ${file}`);
+  const items = data.items || [];
+  const seen = new Set();
+  items.forEach((item, i) => {
+    checkItem(item, `inventory item ${i} in ${file}`);
+    if (seen.has(itemKey(item))) throw new Error(`Duplicate inventory line ${itemKey(item)} in ${file}`);
+    seen.add(itemKey(item));
+  });
+  return { version: INVENTORY_VERSION, items };
+}
+
+export function saveInventory(data, file = INVENTORY_FILE) {
+  data.items.forEach((item, i) => checkItem(item, `inventory item ${i}`));
+  const items = [...data.items].sort((a, b) => itemKey(a).localeCompare(itemKey(b)));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: INVENTORY_VERSION, items }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Parses an inventory CSV into items, summing quantities of repeated
+ * lines. Rows that can't be read are returned as `errors` ({ line, message })
+ * instead of aborting the import.
+ */
+export function parseInventoryCSV(text) {
+  const rows = parseCSV(text, { omitEmpty: true });
+  const byKey = new Map();
+  const errors = [];
+  rows.forEach((row, i) => {
+    const line = i + 2; // header is line 1
+    const cols = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+    const pick = (field) => COLUMNS[field].map(c => cols[c]).find(v => v !== undefined);
+    try {
+      const cardId = pick('cardId');
+      if (!cardId) throw new Error('no card id');
+      const qty = pick('quantity');
+      const quantity = qty === undefined ? 1 : Number(qty);
+      if (!Number.isInteger(quantity) || quantity < 0) throw new Error(`invalid quantity "${qty}"`);
+      if (quantity === 0) return;
+      const printing = pick('printing');
+      const item = {
+        cardId,
+        printing: printing ? normalizePrinting(printing) : null,
+        condition: normalizeCondition(pick('condition')),
+        quantity
+      };
+      const existing = byKey.get(itemKey(item));
+      if (existing) existing.quantity += quantity;
+      else byKey.set(itemKey(item), item);
+    } catch (e) {
+      errors.push({ line, message: e.message });
+    }
+  });
+  return { items: [...byKey.values()], errors };
+}
+
+/**
+ * Applies imported lines to the current inventory: replaces it, or with
+ * `add` adds the quantities to matching lines (notes are kept).
+ */
+export function applyImport(current, imported, { add = false } = {}) {
+  if (!add) return { version: INVENTORY_VERSION, items: imported.map(item => ({ ...item })) };
+  const byKey = new Map(current.items.map(item => [itemKey(item), { ...item }]));
+  for (const item of imported) {
+    const existing = byKey.get(itemKey(item));
+    if (existing) existing.quantity += item.quantity;
+    else byKey.set(itemKey(item), { ...item });
+  }
+  return { version: INVENTORY_VERSION, items: [...byKey.values()] };
+}
+
+const money = (n) => Math.round(n * 100) / 100;
+
+function setIdOf(card) {
+  return card.set?.id || String(card.id).replace(/-[^-]+$/, '');
+}
+
+/** The merged price entry for an item's printing, or { reason } when there is none. */
+function priceFor(card, printing) {
+  if (!card.prices && !card.pricing) return { reason: 'card has no pricing' };
+  const wanted = printing || card.pricing?.printing;
+  const entry = card.prices ? card.prices[wanted] : (card.pricing?.printing === wanted ? card.pricing : null);
+  if (!entry) {
+    return { reason: `no ${wanted} price (priced: ${Object.keys(card.prices || { [card.pricing.printing]: 1 }).join(', ')})` };
+  }
+  const unit = entry.market ?? entry.mid;
+  return { printing: wanted, unit: Number.isFinite(unit) ? unit : null, conditions: entry.conditions };
+}
+
+/**
+ * Unit value of a copy in `condition`: the merged condition price (sourced
+ * or estimated at merge time) when there is one, else NM × `multipliers`,
+ * else { reason }.
+ */
+function conditionValue(price, condition, multipliers) {
+  const known = price.conditions?.[condition];
+  if (condition !== DEFAULT_CONDITION && Number.isFinite(known?.market)) {
+    return { unitValue: known.market, basis: known.estimated ? 'estimate' : 'source' };
+  }
+  if (price.unit === null) return { reason: `${price.printing} has no market or mid value${condition === DEFAULT_CONDITION ? '' : ` or ${condition} price`}` };
+  return { unitValue: price.unit * multipliers[condition], basis: 'multiplier' };
+}
+
+/**
+ * Values `items` against merged `cards`: the printing's price in the line's
+ * condition × quantity. Near mint is the market (else mid) price; other
+ * conditions use the merged condition price when there is one, else the
+ * near-mint price × the condition's entry in `multipliers`. `priceBasis`
+ * on each line says which, and `multiplier` is the ratio actually applied
+ * (null when the printing has no near-mint price to compare with).
+ * Returns the report written to data/inventory-valuation.json (see
+ * schemas/inventory-valuation.schema.json).
+ */
+export function valueInventory(items, cards, multipliers, { currency = 'USD' } = {}) {
+  const byId = new Map(cards.map(c => [c.id, c]));
+  const totals = { lines: items.length, quantity: 0, pricedQuantity: 0, unpricedQuantity: 0, value: 0 };
+  const bySet = new Map();
+  const byCondition = Object.fromEntries(CONDITIONS.map(c => [c, { multiplier: multipliers[c], quantity: 0, value: 0 }]));
+  const lines = [];
+  const unpriced = [];
+
+  for (const item of items) {
+    const card = byId.get(item.cardId);
+    totals.quantity += item.quantity;
+    byCondition[item.condition].quantity += item.quantity;
+    const price = card ? priceFor(card, item.printing) : { reason: 'card id is not in the catalog' };
+    const base = {
+      cardId: item.cardId,
+      name: card?.name ?? null,
+      setId: card ? setIdOf(card) : null,
+      number: card?.number ?? null,
+      printing: price.printing || item.printing || null,
+      condition: item.condition,
+      quantity: item.quantity
+    };
+    const valued = price.reason ? price : conditionValue(price, item.condition, multipliers);
+    if (valued.reason) {
+      totals.unpricedQuantity += item.quantity;
+      unpriced.push({ ...base, reason: valued.reason });
+      continue;
+    }
+
+    const { unitValue, basis } = valued;
+    const multiplier = basis === 'multiplier' ? multipliers[item.condition]
+      : price.unit > 0 ? Math.round(unitValue / price.unit * 1000) / 1000 : null;
+    const value = unitValue * item.quantity;
+    totals.pricedQuantity += item.quantity;
+    totals.value += value;
+    byCondition[item.condition].value += value;
+    const set = bySet.get(base.setId) || { setId: base.setId, setName: card.set?.name ?? null, lines: 0, quantity: 0, value: 0 };
+    set.lines++;
+    set.quantity += item.quantity;
+    set.value += value;
+    bySet.set(base.setId, set);
+    lines.push({ ...base, unitMarket: price.unit, priceBasis: basis, multiplier, unitValue: money(unitValue), value: money(value) });
+  }
+
+  totals.value = money(totals.value);
+  for (const c of Object.values(byCondition)) c.value = money(c.value);
+  return {
+    version: VALUATION_VERSION,
+    generatedAt: new Date().toISOString(),
+    currency,
+    conditionMultipliers: multipliers,
+    totals,
+    bySet: [...bySet.values()].map(s => ({ ...s, value: money(s.value) })).sort((a, b) => b.value - a.value || a.setId.localeCompare(b.setId)),
+    byCondition,
+    lines: lines.sort((a, b) => b.value - a.value || a.cardId.localeCompare(b.cardId)),
+    unpriced
+  };
+}
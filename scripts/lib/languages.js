@@ -0,0 +1,67 @@
+/**
+ * languages.js
+ *
+ * Card languages the pipeline knows. CARD_LANGUAGES (comma separated codes,
+ * default "en") picks the ones fetch-cards.js pulls and merge-data.js merges.
+ *
+ * Each language has:
+ *  - code      pokemon-tcg-data directory code (`sets/<code>.json`, `cards/<code>/`)
+ *              and the `lang` field on merged cards
+ *  - pricing   the `lang` slot in pricing keys (`group|number|printing|lang`)
+ *  - tcgcsvCategory  TCGCSV category holding its prices, or null when only
+ *              file sources carry them
+ */
+import process from 'process';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = {
+  en: { code: 'en', name: 'English', pricing: 'EN', tcgcsvCategory: 3 },
+  ja: { code: 'ja', name: 'Japanese', pricing: 'JP', tcgcsvCategory: 85 },
+  de: { code: 'de', name: 'German', pricing: 'DE', tcgcsvCategory: null },
+  fr: { code: 'fr', name: 'French', pricing: 'FR', tcgcsvCategory: null },
+  it: { code: 'it', name: 'Italian', pricing: 'IT', tcgcsvCategory: null },
+  es: { code: 'es', name: 'Spanish', pricing: 'ES', tcgcsvCategory: null },
+  pt: { code: 'pt', name: 'Portuguese', pricing: 'PT', tcgcsvCategory: null }
+};
+
+export function languageInfo(code) {
+  const info = LANGUAGES[String(code || '').toLowerCase()];
+  if (!info) throw new Error(`Unknown card language "${code}" (known: ${Object.keys(LANGUAGES).join(', ')})`);
+  return info;
+}
+
+/** Configured languages, in CARD_LANGUAGES order. */
+export function configuredLanguages(value = process.env.CARD_LANGUAGES) {
+  const codes = String(value || DEFAULT_LANGUAGE).split(',').map(s => s.trim()).filter(Boolean);
+  return [...new Set(codes.map(c => languageInfo(c).code))].map(languageInfo);
+}
+
+/**
+ * Card id in the merged catalog. pokemon-tcg-data reuses ids across
+ * languages, so every language but the default is prefixed with its code
+ * ("sv1-1" stays, the Japanese card becomes "ja:sv1-1"). Overrides,
+ * inventory lines and store metafields use these ids.
+ */
+export function catalogCardId(id, code = DEFAULT_LANGUAGE) {
+  const lang = languageInfo(code).code;
+  return lang === DEFAULT_LANGUAGE ? id : `${lang}:${id}`;
+}
+
+/** Pricing key slot for a card language code ("ja" → "JP"). */
+export function pricingLang(code = DEFAULT_LANGUAGE) {
+  return languageInfo(code).pricing;
+}
+
+/**
+ * Normalizes a pricing row's language ("Japanese", "ja", "JP") to its
+ * pricing slot. Blank means English; unknown values are upper-cased so
+ * they still never match another language.
+ */
+export function normalizePricingLang(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  if (!s) return LANGUAGES[DEFAULT_LANGUAGE].pricing;
+  const info = Object.values(LANGUAGES).find(l =>
+    l.code === s || l.pricing.toLowerCase() === s || l.name.toLowerCase() === s);
+  return info ? info.pricing : s.toUpperCase();
+}
@@ -0,0 +1,78 @@
+/**
+ * name-match.js
+ *
+ * Name-based matching for pricing rows that carry no usable card number.
+ * Product names are normalized (edition/finish tags and trailing numbers
+ * stripped) and compared with card names by character-bigram similarity;
+ * only a confident, unambiguous best candidate is accepted.
+ */
+
+// Bracketed tags and trailing "- 4/102" / "#4" style numbers
+const BRACKETED = /\([^)]*\)|\[[^\]]*\]/g;
+const TRAILING_NUMBER = /(?:\s*-\s*|\s+#?|#)[a-z]{0,4}\d+[a-z]?(?:\s*\/\s*[a-z]{0,4}\d+)?\s*$/i;
+const EDITION_WORDS = /\b(?:1st edition|first edition|unlimited|shadowless|reverse holo(?:foil)?|holo(?:foil)?|non-holo|staff|prerelease|promo)\b/gi;
+
+export function normalizeName(name) {
+  let s = String(name ?? '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u2640/g, ' f ').replace(/\u2642/g, ' m ')
+    .replace(BRACKETED, ' ');
+  // " - 4/102" may follow other suffixes; strip until stable
+  for (let prev = null; prev !== s; ) { prev = s; s = s.replace(TRAILING_NUMBER, ''); }
+  return s
+    .replace(EDITION_WORDS, ' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function bigrams(s) {
+  const compact = s.replace(/ /g, '');
+  const out = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const g = compact.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/** Dice coefficient over character bigrams of normalized names, 0..1. */
+export function nameSimilarity(a, b) {
+  const na = normalizeName(a);
+  const nb = normalizeName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  const ga = bigrams(na);
+  const gb = bigrams(nb);
+  let overlap = 0;
+  let total = 0;
+  for (const [g, n] of ga) { overlap += Math.min(n, gb.get(g) || 0); total += n; }
+  for (const n of gb.values()) total += n;
+  return total ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Picks the candidate whose `name` best matches `cardName`. Candidates
+ * sharing one normalized product name (e.g. its printings) count as one.
+ * Returns { name, confidence, candidates } when the best score reaches
+ * `minConfidence` and beats the runner-up by `minMargin`, otherwise
+ * { rejected: reason, name, confidence, candidates } for the best.
+ */
+export function bestNameMatch(cardName, candidates, { minConfidence = 0.85, minMargin = 0.1 } = {}) {
+  const byName = new Map();
+  for (const c of candidates) {
+    const key = normalizeName(c.name);
+    if (!key) continue;
+    if (!byName.has(key)) byName.set(key, { name: c.name, confidence: nameSimilarity(cardName, c.name), candidates: [] });
+    byName.get(key).candidates.push(c);
+  }
+  const ranked = [...byName.values()].sort((a, b) => b.confidence - a.confidence);
+  const [best, second] = ranked;
+  if (!best) return { rejected: 'no named pricing rows in set', name: null, confidence: 0 };
+
+  const confidence = Math.round(best.confidence * 1000) / 1000;
+  const rejected = (reason) => ({ rejected: reason, name: best.name, confidence, candidates: best.candidates });
+  if (best.confidence < minConfidence) return rejected('below confidence threshold');
+  if (second && best.confidence - second.confidence < minMargin) return rejected(`ambiguous with "${second.name}"`);
+  return { name: best.name, confidence, candidates: best.candidates };
+}
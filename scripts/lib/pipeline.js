@@ -0,0 +1,126 @@
+/**
+ * pipeline.js
+ *
+ * Plumbing shared by the stage scripts and scripts/sync.js. Each stage
+ * script exports an async function that resolves to a result instead of
+ * exiting the process:
+ *
+ *   { status: 'ok' | 'skipped', reason?, inputs: {}, counts: {}, details?: {}, warnings: [] }
+ *
+ * and throws (a StageError when the exit code or partial result matters)
+ * on failure. Run directly, a script goes through runAsScript(), which maps
+ * that back onto the exit codes the scripts always had.
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+export const RUN_REPORT_FILE = 'run-report.json';
+export const RUN_REPORT_VERSION = 1;
+
+export class StageError extends Error {
+  constructor(message, exitCode = 1, result = null) {
+    super(message);
+    this.exitCode = exitCode;
+    this.result = result;
+  }
+}
+
+function stageFields(result) {
+  return {
+    inputs: result.inputs || {},
+    counts: result.counts || {},
+    ...(result.details ? { details: result.details } : {}),
+    warnings: result.warnings || []
+  };
+}
+
+/** True when `metaUrl` (a module's import.meta.url) is the script node was started with. */
+export function isMainModule(metaUrl) {
+  return Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(metaUrl);
+}
+
+/** Runs a stage function as a standalone script: logs failures and sets the exit code. */
+export function runAsScript(metaUrl, fn) {
+  if (!isMainModule(metaUrl)) return;
+  Promise.resolve()
+    .then(fn)
+    .catch(err => {
+      console.error(err instanceof StageError ? `❌ ${err.message}` : err);
+      process.exit(err.exitCode ?? 1);
+    });
+}
+
+/**
+ * Picks stages from `names` (in pipeline order): `only` lists the stages to
+ * run, `from` starts part-way, `skip` drops stages. Throws a StageError
+ * (exit 2) for unknown stage names or `only` combined with `from`.
+ */
+export function selectStages(names, { only = [], skip = [], from = null } = {}) {
+  const unknown = [...only, ...skip, ...(from ? [from] : [])].filter(n => !names.includes(n));
+  if (unknown.length) throw new StageError(`Unknown stage(s): ${unknown.join(', ')} (stages: ${names.join(', ')})`, 2);
+  if (only.length && from) throw new StageError('--only and --from cannot be combined', 2);
+
+  let selected = only.length ? names.filter(n => only.includes(n)) : names;
+  if (from) selected = selected.slice(selected.indexOf(from));
+  return selected.filter(n => !skip.includes(n));
+}
+
+/**
+ * Runs `stages` ([{ name, run }]) in order, stopping at the first failure.
+ * Resolves to the run report (see schemas/run-report.schema.json) minus
+ * `summary`, which the caller adds from the data it produced.
+ */
+export async function runStages(stages, { selection = {}, inputs = {} } = {}) {
+  const startedAt = new Date();
+  const results = [];
+  let failure = null;
+
+  for (const stage of stages) {
+    if (failure) {
+      results.push({ name: stage.name, status: 'not-run' });
+      continue;
+    }
+    console.log(`\n▶️  ${stage.name}`);
+    const started = Date.now();
+    const entry = { name: stage.name, startedAt: new Date(started).toISOString() };
+    try {
+      const result = (await stage.run()) || {};
+      Object.assign(entry, {
+        status: result.status || 'ok',
+        ...(result.reason ? { reason: result.reason } : {}),
+        ...stageFields(result)
+      });
+    } catch (err) {
+      failure = { stage: stage.name, message: err.message, exitCode: err.exitCode ?? 1 };
+      Object.assign(entry, { status: 'failed', error: err.message, ...stageFields(err.result || {}) });
+      console.error(err instanceof StageError ? `❌ ${err.message}` : err);
+    }
+    entry.durationMs = Date.now() - started;
+    console.log(`⏱️  ${stage.name}: ${entry.status} in ${(entry.durationMs / 1000).toFixed(1)}s`);
+    results.push(entry);
+  }
+
+  const finishedAt = new Date();
+  return {
+    version: RUN_REPORT_VERSION,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    status: failure ? 'failed' : 'ok',
+    exitCode: failure ? failure.exitCode : 0,
+    exitReason: failure ? `${failure.stage} failed: ${failure.message}` : 'completed',
+    selection,
+    inputs,
+    stages: results,
+    warnings: results.flatMap(r => (r.warnings || []).map(w => `${r.name}: ${w}`))
+  };
+}
+
+export function writeRunReport(report, dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = path.join(dataDir, RUN_REPORT_FILE);
+  fs.writeFileSync(file, JSON.stringify(report, null, 2), 'utf8');
+  return file;
+}
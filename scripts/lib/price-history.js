@@ -0,0 +1,162 @@
+/**
+ * price-history.js
+ *
+ * Date-partitioned price history under `data/history/`, one file per month
+ * (`YYYY-MM.json`). Each file maps a pricing key to change points:
+ *
+ *   { "version": 1, "month": "2025-08", "fields": ["market","low","mid","high"],
+ *     "series": { "base1|4|holofoil|EN": [["2025-08-01", 200, 100, 150, 300], ...] } }
+ *
+ * A key's first run in a month is always written so every partition is
+ * self-contained; after that a point is only added when a value changed.
+ * Re-running on the same day replaces that day's point.
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+
+export const HISTORY_DIR = path.join(process.cwd(), 'data', 'history');
+export const FIELDS = ['market', 'low', 'mid', 'high'];
+const VERSION = 1;
+
+function round(n) {
+  const v = Number(n);
+  return Number.isFinite(v) ? Math.round(v * 100) / 100 : 0;
+}
+
+function partitionFile(month, dir = HISTORY_DIR) {
+  return path.join(dir, `${month}.json`);
+}
+
+function readPartition(month, dir = HISTORY_DIR) {
+  const p = partitionFile(month, dir);
+  if (!fs.existsSync(p)) return { version: VERSION, month, fields: FIELDS, series: {} };
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+// One series per line keeps daily git diffs to the keys that changed
+function writePartition(partition, dir = HISTORY_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const keys = Object.keys(partition.series).sort();
+  const lines = keys.map(k => `    ${JSON.stringify(k)}: ${JSON.stringify(partition.series[k])}`);
+  const body = [
+    '{',
+    `  "version": ${VERSION},`,
+    `  "month": ${JSON.stringify(partition.month)},`,
+    `  "fields": ${JSON.stringify(FIELDS)},`,
+    '  "series": {',
+    lines.join(',\n'),
+    '  }',
+    '}'
+  ].filter(line => line !== '').join('\n');
+  fs.writeFileSync(partitionFile(partition.month, dir), body + '\n', 'utf8');
+}
+
+/**
+ * Appends one run's pricing map (as in pricing-raw.json) for `date`
+ * (YYYY-MM-DD). Returns { keys, written, unchanged }.
+ */
+export function appendSnapshot(pricing, date = new Date().toISOString().slice(0, 10), dir = HISTORY_DIR) {
+  const partition = readPartition(date.slice(0, 7), dir);
+  let written = 0;
+  let unchanged = 0;
+
+  for (const [key, entry] of Object.entries(pricing || {})) {
+    const point = [date, ...FIELDS.map(f => round(entry[f]))];
+    const series = partition.series[key] || (partition.series[key] = []);
+
+    if (series.length && series[series.length - 1][0] === date) series.pop();
+    const prev = series[series.length - 1];
+    if (prev && prev.slice(1).every((v, i) => v === point[i + 1])) {
+      unchanged++;
+      continue;
+    }
+    series.push(point);
+    written++;
+  }
+
+  writePartition(partition, dir);
+  return { keys: Object.keys(pricing || {}).length, written, unchanged };
+}
+
+/** Partition months (YYYY-MM) available on disk, oldest first. */
+export function listMonths(dir = HISTORY_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => /^\d{4}-\d{2}\.json$/.test(f))
+    .map(f => f.slice(0, 7))
+    .sort();
+}
+
+/**
+ * Loads change points for every key since `sinceDate` (inclusive), plus the
+ * last point before it so series can carry a value into the window.
+ * Returns Map key → [[date, market, low, mid, high], ...] sorted by date.
+ */
+export function loadHistory(sinceDate, dir = HISTORY_DIR) {
+  const sinceMonth = sinceDate.slice(0, 7);
+  const months = listMonths(dir);
+  // The month before the window supplies carry-in values
+  const idx = months.findIndex(m => m >= sinceMonth);
+  const wanted = idx === -1 ? months.slice(-1) : months.slice(Math.max(0, idx - 1));
+
+  const out = new Map();
+  for (const month of wanted) {
+    const { series } = readPartition(month, dir);
+    for (const [key, points] of Object.entries(series)) {
+      if (!out.has(key)) out.set(key, []);
+      const list = out.get(key);
+      for (const p of points) {
+        const last = list[list.length - 1];
+        if (last && last.slice(1).every((v, i) => v === p[i + 1])) continue;
+        list.push(p);
+      }
+    }
+  }
+
+  for (const [key, list] of out) {
+    const before = list.filter(p => p[0] < sinceDate);
+    const inside = list.filter(p => p[0] >= sinceDate);
+    out.set(key, before.length ? [before[before.length - 1], ...inside] : inside);
+  }
+  return out;
+}
+
+export function daysBefore(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+function valueAt(points, date) {
+  let v = null;
+  for (const p of points) {
+    if (p[0] > date) break;
+    v = p[1];
+  }
+  return v;
+}
+
+/**
+ * Summarizes one key's points as of `asOf`: market change points within
+ * the longest window and percentage change for each window.
+ */
+export function summarizeSeries(points, asOf, windows = [7, 30, 90]) {
+  const longest = Math.max(...windows);
+  const start = daysBefore(asOf, longest);
+  const current = valueAt(points, asOf);
+
+  const series = [];
+  const carry = valueAt(points, start);
+  if (carry !== null) series.push([start, carry]);
+  for (const p of points) if (p[0] > start && p[0] <= asOf) series.push([p[0], p[1]]);
+
+  const change = {};
+  for (const w of windows) {
+    const then = valueAt(points, daysBefore(asOf, w));
+    change[`${w}d`] = then && current !== null
+      ? Math.round(((current - then) / then) * 10000) / 100
+      : null;
+  }
+  return { current, series, change };
+}
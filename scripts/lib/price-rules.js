@@ -0,0 +1,251 @@
+/**
+ * price-rules.js
+ *
+ * Store prices: a `sellPrice` and `buyPrice` per card and printing, derived
+ * from the merged price by the ordered rules in `config/price-rules.json`
+ * (override the path with PRICE_RULES_FILE):
+ *
+ *  {
+ *    version: 1,
+ *    sell: [
+ *      { name: "markup", multiply: 1.1 },
+ *      { name: "WOTC holos", match: { series: ["Base", "Gym", "Neo"], rarity: "Rare Holo" }, multiply: 1.15 },
+ *      { name: "floor and .99", min: 0.25, roundUpTo: 0.99 }
+ *    ],
+ *    buy: [
+ *      { name: "half market", multiply: 0.5 },
+ *      { name: "cap at 60% of low", max: { of: "low", times: 0.6 } }
+ *    ]
+ *  }
+ *
+ * Each side starts from the printing's market price (else mid, else low)
+ * and runs every rule whose `match` fits, top to bottom. Within a rule the
+ * steps apply in this order:
+ *  - base: { of, times }   restart from another price field × times
+ *  - multiply, add
+ *  - min, max              a number or { of, times }; skipped when that price is missing
+ *  - roundUpTo, roundDownTo  to the next price ending in this (0.99 → 4.99)
+ * `stop: true` ends the side after the rule. `of` is market, low, mid or high.
+ *
+ * `match` keys must all fit; a list matches any of its values, case
+ * insensitively: set (set id), series, rarity, supertype, types (any of the
+ * card's types), printing, and `price: { min, max }`, a band on the starting
+ * price (min inclusive, max exclusive).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashContent } from './card-store.js';
+
+export const RULES_VERSION = 1;
+export const STORE_PRICES_VERSION = 1;
+export const STORE_PRICES_FILE = 'store-prices.json';
+export const RULES_FILE = process.env.PRICE_RULES_FILE ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'price-rules.json');
+
+export const SIDES = ['sell', 'buy'];
+const PRICE_FIELDS = ['market', 'low', 'mid', 'high'];
+const MATCH_KEYS = ['set', 'series', 'rarity', 'supertype', 'types', 'printing', 'price'];
+const STEP_KEYS = ['base', 'multiply', 'add', 'min', 'max', 'roundUpTo', 'roundDownTo'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function checkRule(rule, where) {
+  if (!rule || typeof rule !== 'object') throw new Error(`${where}: expected an object`);
+  if (typeof rule.name !== 'string' || !rule.name.trim()) throw new Error(`${where}: missing "name"`);
+  const label = `${where} ("${rule.name}")`;
+  const unknown = Object.keys(rule).filter(k => !['name', 'match', 'stop', ...STEP_KEYS].includes(k));
+  if (unknown.length) throw new Error(`${label}: unknown key(s) ${unknown.join(', ')}`);
+  if (!STEP_KEYS.some(k => k in rule)) throw new Error(`${label}: no price step (${STEP_KEYS.join(', ')})`);
+
+  const unknownMatch = Object.keys(rule.match || {}).filter(k => !MATCH_KEYS.includes(k));
+  if (unknownMatch.length) throw new Error(`${label}: unknown match key(s) ${unknownMatch.join(', ')} (expected ${MATCH_KEYS.join(', ')})`);
+  const band = rule.match?.price;
+  if (band !== undefined && (typeof band !== 'object' || ['min', 'max'].some(k => k in band && !Number.isFinite(band[k])))) {
+    throw new Error(`${label}: match.price must be { min, max } numbers`);
+  }
+
+  for (const key of ['multiply', 'add', 'roundUpTo', 'roundDownTo']) {
+    if (key in rule && !Number.isFinite(rule[key])) throw new Error(`${label}: ${key} must be a number`);
+  }
+  for (const key of ['roundUpTo', 'roundDownTo']) {
+    if (key in rule && (rule[key] < 0 || rule[key] >= 1)) throw new Error(`${label}: ${key} is a price ending, from 0 up to 1 (e.g. 0.99)`);
+  }
+  for (const key of ['base', 'min', 'max']) {
+    const v = rule[key];
+    if (v === undefined || (key !== 'base' && Number.isFinite(v))) continue;
+    if (!v || !PRICE_FIELDS.includes(v.of) || ('times' in v && !Number.isFinite(v.times))) {
+      throw new Error(`${label}: ${key} must be ${key === 'base' ? '' : 'a number or '}{ of: ${PRICE_FIELDS.join('|')}, times }`);
+    }
+  }
+}
+
+/**
+ * Reads and checks the rules file. Returns { sell: [rule], buy: [rule],
+ * hashes: { sell: { name: hash }, buy: {…} } }; the hashes let a diff tell
+ * an edited rule from a price move. No file means no rules (prices stay at
+ * the merged price).
+ */
+export function loadPriceRules(file = RULES_FILE) {
+  const data = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { version: RULES_VERSION };
+  if (data.version !== RULES_VERSION) throw new Error(`Unsupported price rules version ${data.version} in ${file}`);
+  const rules = { sell: [], buy: [], hashes: { sell: {}, buy: {} } };
+  for (const side of SIDES) {
+    if (data[side] !== undefined && !Array.isArray(data[side])) throw new Error(`"${side}" in ${file} must be a list of rules`);
+    for (const [i, rule] of (data[side] || []).entries()) {
+      checkRule(rule, `${file}: ${side}[${i}]`);
+      if (rules.hashes[side][rule.name]) throw new Error(`${file}: duplicate ${side} rule name "${rule.name}"`);
+      rules.hashes[side][rule.name] = hashContent(JSON.stringify(rule)).slice(0, 12);
+      rules[side].push(rule);
+    }
+  }
+  return rules;
+}
+
+function listMatches(wanted, values) {
+  const want = (Array.isArray(wanted) ? wanted : [wanted]).map(v => String(v).toLowerCase());
+  return values.some(v => v !== null && v !== undefined && want.includes(String(v).toLowerCase()));
+}
+
+/** True when every key of `match` fits the card's printing at `start` price. */
+export function ruleMatches(match = {}, card, printing, start) {
+  const checks = {
+    set: () => listMatches(match.set, [card.set?.id]),
+    series: () => listMatches(match.series, [card.set?.series]),
+    rarity: () => listMatches(match.rarity, [card.rarity]),
+    supertype: () => listMatches(match.supertype, [card.supertype]),
+    types: () => listMatches(match.types, card.types || []),
+    printing: () => listMatches(match.printing, [printing]),
+    price: () => (match.price.min === undefined || start >= match.price.min) && (match.price.max === undefined || start < match.price.max)
+  };
+  return Object.keys(match).every(key => checks[key]());
+}
+
+function fieldPrice(entry, { of, times = 1 }) {
+  const v = entry[of];
+  return Number.isFinite(v) && v > 0 ? v * times : null;
+}
+
+function bound(entry, value) {
+  return Number.isFinite(value) ? value : fieldPrice(entry, value);
+}
+
+/** Runs one rule's steps on `price`. */
+function applySteps(rule, price, entry) {
+  if (rule.base) price = fieldPrice(entry, rule.base) ?? price;
+  if ('multiply' in rule) price *= rule.multiply;
+  if ('add' in rule) price += rule.add;
+  const min = rule.min === undefined ? null : bound(entry, rule.min);
+  if (min !== null) price = Math.max(price, min);
+  const max = rule.max === undefined ? null : bound(entry, rule.max);
+  if (max !== null) price = Math.min(price, max);
+  if ('roundUpTo' in rule) price = Math.ceil(price - rule.roundUpTo - 1e-9) + rule.roundUpTo;
+  if ('roundDownTo' in rule) price = Math.floor(price - rule.roundDownTo + 1e-9) + rule.roundDownTo;
+  return Math.max(0, price);
+}
+
+/** The price a side's rules start from: market, else mid, else low. */
+export function startingPrice(entry) {
+  return [entry?.market, entry?.mid, entry?.low].find(v => Number.isFinite(v) && v > 0) ?? null;
+}
+
+/** One side for one printing: { price, rules: [names applied] }. */
+export function applyRules(rules, card, printing, entry) {
+  const start = startingPrice(entry);
+  let price = start;
+  const applied = [];
+  for (const rule of rules) {
+    if (!ruleMatches(rule.match, card, printing, start)) continue;
+    price = applySteps(rule, price, entry);
+    applied.push(rule.name);
+    if (rule.stop) break;
+  }
+  return { price: round2(price), rules: applied };
+}
+
+/**
+ * Store prices for every priced printing of `cards`. Returns the report
+ * written to data/store-prices.json (see schemas/store-prices.schema.json):
+ * { prices: { cardId: { printing: { basis, sellPrice, buyPrice, sellRules, buyRules } } } }.
+ */
+export function computeStorePrices(cards, rules, { currency = 'USD' } = {}) {
+  const prices = {};
+  let printings = 0;
+  for (const card of cards) {
+    const entries = card.prices || (card.pricing ? { [card.pricing.printing || 'normal']: card.pricing } : {});
+    for (const [printing, entry] of Object.entries(entries)) {
+      const basis = startingPrice(entry);
+      if (basis === null) continue;
+      const sell = applyRules(rules.sell, card, printing, entry);
+      const buy = applyRules(rules.buy, card, printing, entry);
+      (prices[card.id] ||= {})[printing] = {
+        basis,
+        sellPrice: sell.price,
+        buyPrice: buy.price,
+        sellRules: sell.rules,
+        buyRules: buy.rules
+      };
+      printings++;
+    }
+  }
+  return {
+    version: STORE_PRICES_VERSION,
+    generatedAt: new Date().toISOString(),
+    currency,
+    ruleHashes: rules.hashes,
+    totals: { cards: Object.keys(prices).length, printings },
+    prices
+  };
+}
+
+function ruleReasons(side, before, after, previous, current) {
+  const was = before?.[`${side}Rules`] || [];
+  const now = after?.[`${side}Rules`] || [];
+  const reasons = [];
+  for (const name of now) {
+    if (!was.includes(name)) reasons.push(`rule "${name}" now applies`);
+    else if (previous.ruleHashes?.[side]?.[name] !== current.ruleHashes[side][name]) reasons.push(`rule "${name}" changed`);
+  }
+  for (const name of was) {
+    if (!now.includes(name)) {
+      reasons.push(current.ruleHashes[side][name] ? `rule "${name}" no longer applies` : `rule "${name}" was removed`);
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Changes from the `previous` store prices report to `current`: one row per
+ * changed price, { cardId, printing, side, from, to, reasons }. Reasons
+ * name the starting price move and every rule that started or stopped
+ * applying or was edited in between. Printings new to or gone from the
+ * catalog's priced set show up with a null `from`/`to`.
+ */
+export function diffStorePrices(previous, current) {
+  const changes = [];
+  const cardIds = new Set([...Object.keys(previous?.prices || {}), ...Object.keys(current.prices)]);
+  for (const cardId of [...cardIds].sort()) {
+    const was = previous?.prices?.[cardId] || {};
+    const now = current.prices[cardId] || {};
+    for (const printing of [...new Set([...Object.keys(was), ...Object.keys(now)])].sort()) {
+      const before = was[printing];
+      const after = now[printing];
+      for (const side of SIDES) {
+        const from = before ? before[`${side}Price`] : null;
+        const to = after ? after[`${side}Price`] : null;
+        if (from === to) continue;
+        const reasons = [];
+        if (!before) reasons.push('newly priced');
+        else if (!after) reasons.push('no longer priced');
+        else {
+          if (before.basis !== after.basis) reasons.push(`starting price ${before.basis.toFixed(2)} → ${after.basis.toFixed(2)}`);
+          reasons.push(...ruleReasons(side, before, after, previous, current));
+        }
+        changes.push({ cardId, printing, side, from, to, reasons });
+      }
+    }
+  }
+  return changes;
+}
@@ -0,0 +1,189 @@
+/**
+ * pricing-diagnostics.js
+ *
+ * Collects what attachPricing() tried for each card and builds the
+ * `data/pricing-unmatched.json` report: unmatched cards grouped by set with
+ * the closest pricing keys that do exist, pricing entries no card used,
+ * name-based matches (lowest confidence first) for review, and manual
+ * overrides that no longer point at an existing card or product.
+ */
+
+const SAMPLES_PER_GROUP = 25;
+const CLOSEST_PER_CARD = 3;
+export const REVIEW_CONFIDENCE = 0.95; // name matches below this are flagged for review
+const NEAR_MISS_CONFIDENCE = 0.5;     // rejected name matches worth showing on unmatched cards
+
+function splitKey(key) {
+  const [groupId = '', number = '', printing = '', lang = ''] = String(key).split('|');
+  return { groupId, number, printing, lang };
+}
+
+function stripNumber(n) {
+  const s = String(n || '').toUpperCase();
+  if (s.startsWith('#')) return s; // number-less row keyed by productId
+  const left = s.split('/')[0];
+  const digits = left.replace(/\D/g, '');
+  return digits ? String(parseInt(digits, 10)) : left;
+}
+
+function groupSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 3;
+  if (a.includes(b) || b.includes(a)) return 2;
+  const alpha = (s) => s.replace(/[^a-z]/g, '');
+  return alpha(a) && alpha(a) === alpha(b) ? 1 : 0;
+}
+
+export function createPricingDiagnostics(pricingMap) {
+  const keys = Object.keys(pricingMap);
+  const byNumber = new Map();
+  const byGroup = new Map();
+  for (const key of keys) {
+    const { groupId, number } = splitKey(key);
+    const n = stripNumber(number);
+    if (!byNumber.has(n)) byNumber.set(n, []);
+    byNumber.get(n).push(key);
+    if (!byGroup.has(groupId)) byGroup.set(groupId, []);
+    byGroup.get(groupId).push(key);
+  }
+
+  const usedKeys = new Set();
+  const unmatchedBySet = new Map();
+  let attempts = 0;
+  let matched = 0;
+  let cardsSeen = 0;
+  const nameMatches = [];
+  const staleOverrides = [];
+  let overrideMatches = 0;
+  let unpriceable = 0;
+
+  function closestKeys(setIds, number) {
+    const n = stripNumber(number);
+    const scored = new Map();
+    const consider = (key, bonus) => {
+      const { groupId, number: kn } = splitKey(key);
+      const sim = Math.max(...setIds.map(s => groupSimilarity(s, groupId)));
+      const score = sim * 2 + bonus + (stripNumber(kn) === n ? 2 : 0);
+      if (score > (scored.get(key) ?? 0)) scored.set(key, score);
+    };
+    for (const key of byNumber.get(n) || []) consider(key, 1);
+    for (const s of setIds) for (const key of (byGroup.get(s) || []).slice(0, 500)) consider(key, 0);
+    return [...scored]
+      .filter(([, score]) => score >= 3)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, CLOSEST_PER_CARD)
+      .map(([key]) => key);
+  }
+
+  function describe(card, setIds, closest) {
+    if (!closest.length) return `no pricing entry shares a set or number with ${setIds[0]}/${card.number}`;
+    const k = splitKey(closest[0]);
+    return `pricing has \`${k.groupId}\`/\`${k.number}\`/\`${k.printing}\` but card is \`${setIds[0]}\`/\`${card.number}\``;
+  }
+
+  return {
+    /**
+     * Records one attachPricing() outcome. `candidates` holds the set ids
+     * and numbers that were combined into lookup keys; `matchKeys` are the
+     * pricing keys (one per printing) attached to the card. `outcome` says
+     * how they were found: `override` (manual pin) or `nameMatch` (the
+     * name-matching pass result, when one ran).
+     */
+    record(card, candidates, matchKeys, tried, { nameMatch = null, override = false } = {}) {
+      cardsSeen++;
+      attempts += tried;
+      if (matchKeys.length) {
+        matched++;
+        for (const k of matchKeys) usedKeys.add(k);
+        if (override) overrideMatches++;
+        else if (nameMatch?.hits) {
+          nameMatches.push({
+            id: card.id,
+            name: card.name,
+            number: card.number,
+            productName: nameMatch.name,
+            confidence: nameMatch.confidence,
+            review: nameMatch.confidence < REVIEW_CONFIDENCE,
+            keys: matchKeys
+          });
+        }
+        return;
+      }
+      const setId = candidates.setIds[0] || '(none)';
+      if (!unmatchedBySet.has(setId)) {
+        unmatchedBySet.set(setId, { setId, setName: card.set?.name || '', cards: [] });
+      }
+      const closest = closestKeys(candidates.setIds, card.number);
+      unmatchedBySet.get(setId).cards.push({
+        id: card.id,
+        name: card.name,
+        number: card.number,
+        tried: candidates,
+        closest,
+        hint: describe(card, candidates.setIds, closest),
+        ...(nameMatch?.rejected && (nameMatch.confidence ?? 1) >= NEAR_MISS_CONFIDENCE ? {
+          nameMatch: {
+            rejected: nameMatch.rejected,
+            productName: nameMatch.name ?? null,
+            confidence: nameMatch.confidence ?? null,
+            keys: nameMatch.keys || []
+          }
+        } : {})
+      });
+    },
+
+    /** A card an override marks as unpriceable: neither matched nor unmatched. */
+    recordUnpriceable() {
+      cardsSeen++;
+      unpriceable++;
+    },
+
+    recordStaleOverride(cardId, reason) {
+      staleOverrides.push({ cardId, reason });
+    },
+
+    stats() {
+      return { totalAttempts: attempts, successfulMatches: matched, cards: cardsSeen };
+    },
+
+    report() {
+      const sets = [...unmatchedBySet.values()]
+        .map(s => ({ setId: s.setId, setName: s.setName, unmatchedCards: s.cards.length, cards: s.cards }))
+        .sort((a, b) => b.unmatchedCards - a.unmatchedCards);
+
+      const unusedByGroup = new Map();
+      for (const key of keys) {
+        if (usedKeys.has(key)) continue;
+        const entry = pricingMap[key];
+        const groupId = entry?.groupId || splitKey(key).groupId;
+        if (!unusedByGroup.has(groupId)) {
+          unusedByGroup.set(groupId, { groupId, groupName: entry?.groupName || '', count: 0, keys: [] });
+        }
+        const g = unusedByGroup.get(groupId);
+        g.count++;
+        if (g.keys.length < SAMPLES_PER_GROUP) g.keys.push(key);
+      }
+
+      return {
+        generatedAt: new Date().toISOString(),
+        summary: {
+          cards: cardsSeen,
+          matchedCards: matched,
+          unmatchedCards: cardsSeen - matched - unpriceable,
+          unpriceableCards: unpriceable,
+          overrideMatches,
+          staleOverrides: staleOverrides.length,
+          pricingEntries: keys.length,
+          unusedPricingEntries: keys.length - usedKeys.size,
+          totalAttempts: attempts,
+          nameMatchedCards: nameMatches.length,
+          lowConfidenceNameMatches: nameMatches.filter(m => m.review).length
+        },
+        staleOverrides,
+        nameMatches: [...nameMatches].sort((a, b) => a.confidence - b.confidence),
+        unmatchedCardsBySet: sets,
+        unusedPricingByGroup: [...unusedByGroup.values()].sort((a, b) => b.count - a.count)
+      };
+    }
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * pricing-overrides.js
+ *
+ * Manual pricing matches for cards the heuristics never get right (promos,
+ * reprints, trainer galleries, `SVP-001`-style numbers). merge-data.js
+ * applies them before number and name matching.
+ *
+ * File shape (`config/pricing-overrides.json`):
+ *  {
+ *    version: 1,
+ *    overrides: {
+ *      "<cardId>": { productId: "123456", printing: "holofoil", note: "" },  // pin; printing optional
+ *      "<cardId>": { unpriceable: true, note: "jumbo card, never listed" }
+ *    }
+ *  }
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { normalizePrinting } from './printings.js';
+
+export const OVERRIDES_VERSION = 1;
+export const OVERRIDES_FILE = process.env.PRICING_OVERRIDES_FILE ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'pricing-overrides.json');
+
+function checkEntry(cardId, entry, file) {
+  const where = `override for ${cardId} in ${file}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`Invalid ${where}: expected an object`);
+  if (entry.unpriceable === true) {
+    if (entry.productId !== undefined) throw new Error(`Invalid ${where}: an unpriceable card cannot also pin a productId`);
+    return;
+  }
+  if (entry.productId === undefined || entry.productId === null || String(entry.productId).trim() === '') {
+    throw new Error(`Invalid ${where}: needs a productId or "unpriceable": true`);
+  }
+}
+
+export function loadOverrides(file = OVERRIDES_FILE) {
+  if (!fs.existsSync(file)) return { version: OVERRIDES_VERSION, overrides: {} };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.version !== OVERRIDES_VERSION) {
+    throw new Error(`Unsupported pricing overrides version ${data.version} in ${file}`);
+  }
+  for (const [cardId, entry] of Object.entries(data.overrides || {})) checkEntry(cardId, entry, file);
+  return { version: OVERRIDES_VERSION, overrides: data.overrides || {} };
+}
+
+export function saveOverrides(data, file = OVERRIDES_FILE) {
+  for (const [cardId, entry] of Object.entries(data.overrides)) checkEntry(cardId, entry, file);
+  const sorted = Object.fromEntries(Object.entries(data.overrides).sort(([a], [b]) => a.localeCompare(b)));
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: OVERRIDES_VERSION, overrides: sorted }, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Looks up the override for a card against the pricing index built by
+ * merge-data (`byProduct`: productId → hits). With `lang` (a pricing key
+ * language like "EN"), hits in other languages don't count. Returns null
+ * (no override), { unpriceable: true }, { hits } or { stale: reason }.
+ */
+export function resolveOverride(entry, byProduct, lang = null) {
+  if (!entry) return null;
+  if (entry.unpriceable) return { unpriceable: true };
+
+  const productId = String(entry.productId);
+  const all = byProduct.get(productId) || [];
+  if (!all.length) return { stale: `productId ${productId} is not in the pricing data` };
+  const hits = lang ? all.filter(h => h.lang === lang) : all;
+  if (!hits.length) {
+    return { stale: `productId ${productId} is priced in ${[...new Set(all.map(h => h.lang))].join(', ')}, not ${lang}` };
+  }
+  if (!entry.printing) return { hits };
+
+  const printing = normalizePrinting(entry.printing);
+  const wanted = hits.filter(h => h.printing === printing);
+  if (!wanted.length) {
+    return { stale: `productId ${productId} has no ${printing} printing (has ${[...new Set(hits.map(h => h.printing))].join(', ')})` };
+  }
+  return { hits: wanted };
+}
@@ -0,0 +1,208 @@
+/**
+ * pricing-sources.js
+ *
+ * Pieces of fetch-pricing.js's multi-source pipeline that don't touch the
+ * network: the sources config, the offline currency rate table, rows built
+ * from the price blocks embedded in pokemon-tcg-data cards, and combining
+ * per-source pricing maps by precedence or weighted blending.
+ *
+ * Config (`config/pricing-sources.json`):
+ *  {
+ *    baseCurrency: "USD",
+ *    ratesFile: "config/currency-rates.json",
+ *    sources: [                          // array order is precedence
+ *      { name: "tcgcsv", type: "tcgcsv" },
+ *      { name: "file", type: "file", path: "pricing-raw.csv" },
+ *      { name: "cardmarket", type: "card-cardmarket", currency: "EUR", enabled: false }
+ *    ],
+ *    blend: { market: { tcgcsv: 0.7, cardmarket: 0.3 } }   // fields not listed use precedence
+ *  }
+ *
+ * Rate table (`config/currency-rates.json`): { base: "USD", asOf, rates: { EUR: 1.08 } },
+ * where each rate is the value of one unit in the base currency.
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { PRINTINGS, normalizePrinting } from './printings.js';
+import { catalogCardId, pricingLang } from './languages.js';
+
+const CONFIG_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config');
+
+export const SOURCES_FILE = process.env.PRICING_SOURCES_FILE || path.join(CONFIG_DIR, 'pricing-sources.json');
+export const PRICE_FIELDS = ['market', 'low', 'mid', 'high', 'directLow'];
+
+/** Legacy behavior when no config exists: TCGCSV, else a local file. */
+const DEFAULT_CONFIG = {
+  baseCurrency: 'USD',
+  ratesFile: null,
+  sources: [
+    { name: 'tcgcsv', type: 'tcgcsv' },
+    { name: 'file', type: 'file' }
+  ],
+  blend: {}
+};
+
+export function loadSourcesConfig(file = SOURCES_FILE) {
+  const config = fs.existsSync(file)
+    ? { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(file, 'utf8')) }
+    : DEFAULT_CONFIG;
+  const names = new Set();
+  for (const s of config.sources) {
+    if (!s.name || !s.type) throw new Error(`Pricing source without name/type in ${file}`);
+    if (names.has(s.name)) throw new Error(`Duplicate pricing source "${s.name}" in ${file}`);
+    names.add(s.name);
+  }
+  for (const [field, weights] of Object.entries(config.blend || {})) {
+    if (!PRICE_FIELDS.includes(field)) throw new Error(`Cannot blend unknown price field "${field}" in ${file}`);
+    for (const name of Object.keys(weights)) {
+      if (!names.has(name)) throw new Error(`Blend weight for unknown source "${name}" (${field}) in ${file}`);
+    }
+  }
+  return config;
+}
+
+export function loadRates(file) {
+  if (!file) return { base: null, rates: {} };
+  const p = path.isAbsolute(file) ? file : path.join(CONFIG_DIR, '..', file);
+  if (!fs.existsSync(p)) throw new Error(`Currency rate table ${p} not found`);
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+/** Converts `amount` in `currency` to the rate table's base currency. */
+export function convert(amount, currency, table) {
+  if (amount === null || amount === undefined || !Number.isFinite(Number(amount))) return null;
+  if (!currency || currency === table.base) return Number(amount);
+  const rate = table.rates?.[currency];
+  if (!Number.isFinite(rate)) throw new Error(`No ${currency} rate in the currency rate table`);
+  return Math.round(Number(amount) * rate * 100) / 100;
+}
+
+// --- card-embedded prices --------------------------------------------------
+function cardRow(card, printing, fields, updatedAt) {
+  return {
+    setId: card.set?.id,
+    number: card.number,
+    name: card.name,
+    productId: null,
+    cardId: catalogCardId(card.id, card.lang),
+    subTypeName: printing,
+    lang: pricingLang(card.lang),
+    ...fields,
+    updatedAt: updatedAt ? String(updatedAt).replace(/\//g, '-') : null
+  };
+}
+
+/** One row per printing in each card's `tcgplayer.prices` block (USD). */
+export function tcgplayerRows(cards) {
+  const rows = [];
+  for (const card of cards) {
+    const block = card.tcgplayer;
+    for (const [printing, p] of Object.entries(block?.prices || {})) {
+      rows.push(cardRow(card, printing, {
+        low: p.low, mid: p.mid, high: p.high, market: p.market, directLow: p.directLow
+      }, block.updatedAt));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Rows from each card's `cardmarket.prices` block, converted to the base
+ * currency: the trend/average/low prices for the card's main printing and
+ * the reverseHolo* prices for reverse holofoil.
+ */
+export function cardmarketRows(cards, currency, rates) {
+  const rows = [];
+  for (const card of cards) {
+    const block = card.cardmarket;
+    const p = block?.prices;
+    if (!p) continue;
+    const c = (v) => convert(v, currency, rates);
+    const tcgPrintings = Object.keys(card.tcgplayer?.prices || {}).filter(k => k !== 'reverseHolofoil');
+    const main = tcgPrintings.length === 1 && PRINTINGS.includes(tcgPrintings[0])
+      ? tcgPrintings[0]
+      : (/holo/i.test(card.rarity || '') ? 'holofoil' : 'normal');
+
+    if (p.trendPrice || p.averageSellPrice) {
+      rows.push(cardRow(card, main, {
+        low: c(p.lowPrice), mid: c(p.averageSellPrice), market: c(p.trendPrice ?? p.averageSellPrice), currency
+      }, block.updatedAt));
+    }
+    if (p.reverseHoloTrend || p.reverseHoloSell) {
+      rows.push(cardRow(card, 'reverseHolofoil', {
+        low: c(p.reverseHoloLow), mid: c(p.reverseHoloSell), market: c(p.reverseHoloTrend ?? p.reverseHoloSell), currency
+      }, block.updatedAt));
+    }
+  }
+  return rows;
+}
+
+// --- combining -------------------------------------------------------------
+/** "004/102" → "4", "SWSH001" stays: keys from different sources line up. */
+export function canonicalNumber(n) {
+  const left = String(n ?? '').split('/')[0].trim().toUpperCase();
+  return /^\d+$/.test(left) ? String(parseInt(left, 10)) : left;
+}
+
+function identity(entry) {
+  const [gid = '', num = '', printing = '', lang = 'EN', variant = ''] = entry.key.split('|');
+  const n = num.startsWith('#') ? num : canonicalNumber(num);
+  return `${gid}|${n}|${normalizePrinting(entry.printing || printing).toLowerCase()}|${lang}|${variant}`;
+}
+
+function positive(v) {
+  return Number.isFinite(v) && v > 0;
+}
+
+/**
+ * Combines per-source pricing maps ([{ name, updatedAt, pricing }], in
+ * precedence order) into one map keyed by the highest-precedence source's
+ * key. Each field comes from the first source with a positive value, or a
+ * weighted average over the sources present when `blend[field]` is set.
+ * Entries record `source` (the primary), `sourceUpdatedAt` and, when more
+ * than one source contributed, `fieldSources` per field.
+ */
+export function combineSources(results, blend = {}) {
+  const byIdentity = new Map();
+  for (const result of results) {
+    for (const entry of Object.values(result.pricing)) {
+      const id = identity(entry);
+      if (!byIdentity.has(id)) byIdentity.set(id, []);
+      byIdentity.get(id).push({ source: result.name, updatedAt: entry.sourceUpdatedAt || result.updatedAt, entry });
+    }
+  }
+
+  const pricing = {};
+  for (const contributions of byIdentity.values()) {
+    const primary = contributions[0];
+    const merged = { ...primary.entry, source: primary.source, sourceUpdatedAt: primary.updatedAt };
+    if (contributions.length === 1) {
+      pricing[merged.key] = merged;
+      continue;
+    }
+
+    const fieldSources = {};
+    for (const field of PRICE_FIELDS) {
+      const present = contributions.filter(c => positive(c.entry[field]));
+      const weights = blend[field];
+      const weighted = weights ? present.filter(c => positive(weights[c.source])) : [];
+      if (weighted.length > 1) {
+        const total = weighted.reduce((n, c) => n + weights[c.source], 0);
+        const value = weighted.reduce((n, c) => n + c.entry[field] * weights[c.source], 0) / total;
+        merged[field] = Math.round(value * 100) / 100;
+        fieldSources[field] = weighted.map(c => c.source);
+      } else if (present.length) {
+        merged[field] = present[0].entry[field];
+        fieldSources[field] = [present[0].source];
+      }
+    }
+    const used = contributions.filter(c => Object.values(fieldSources).some(list => list.includes(c.source)));
+    merged.fieldSources = fieldSources;
+    merged.sourceUpdatedAt = used.map(c => c.updatedAt).filter(Boolean).sort()[0] || primary.updatedAt;
+    if (Object.values(fieldSources).some(list => list.length > 1)) merged.source = 'blend';
+    pricing[merged.key] = merged;
+  }
+  return pricing;
+}
@@ -0,0 +1,95 @@
+/**
+ * printings.js
+ *
+ * Normalizes printing/finish names ("Reverse Holofoil", "1st Edition Holofoil",
+ * "holo", ...) to the camelCase keys pokemon-tcg-data uses in `tcgplayer.prices`
+ * (normal, holofoil, reverseHolofoil, 1stEdition, 1stEditionHolofoil,
+ * 1stEditionNormal, unlimited, unlimitedHolofoil).
+ */
+
+export const PRINTINGS = [
+  'normal',
+  'holofoil',
+  'reverseHolofoil',
+  'unlimited',
+  'unlimitedHolofoil',
+  '1stEdition',
+  '1stEditionNormal',
+  '1stEditionHolofoil'
+];
+
+export function normalizePrinting(v = 'normal') {
+  // Already-normalized keys (also as lowercased in pricing keys) pass through
+  const known = PRINTINGS.find(p => p.toLowerCase() === String(v || '').toLowerCase());
+  if (known) return known;
+
+  const s = String(v || 'normal').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (!s) return 'normal';
+
+  const holo = /holo|foil/.test(s);
+  if (/\brev/.test(s) || s.includes('reverse')) return 'reverseHolofoil';
+  if (/\b1st\b|first edition/.test(s)) {
+    if (holo) return '1stEditionHolofoil';
+    return /normal/.test(s) ? '1stEditionNormal' : '1stEdition';
+  }
+  if (s.includes('unlimited')) return holo ? 'unlimitedHolofoil' : 'unlimited';
+  if (holo) return 'holofoil';
+  if (s.includes('normal') || s === 'regular' || s === 'non foil' || s === 'nonfoil') return 'normal';
+
+  // Unknown finish: keep it, camelCased, so it still gets its own slot
+  return s.split(' ').map((w, i) => i ? w[0].toUpperCase() + w.slice(1) : w).join('');
+}
+
+/**
+ * Picks the printing that stands for the card as a whole: the card's own
+ * printing if priced, else holofoil for holo rarities and normal otherwise,
+ * then unlimited before 1st edition. Reverse holo is never the default.
+ */
+export function defaultPrinting(prices, card = {}) {
+  const available = Object.keys(prices || {});
+  if (!available.length) return null;
+
+  const own = card.printing || card.variant;
+  if (own && prices[normalizePrinting(own)]) return normalizePrinting(own);
+
+  const holoFirst = /holo/i.test(card.rarity || '');
+  const order = holoFirst
+    ? ['holofoil', 'unlimitedHolofoil', '1stEditionHolofoil', 'normal', 'unlimited', '1stEditionNormal', '1stEdition']
+    : ['normal', 'unlimited', '1stEditionNormal', '1stEdition', 'holofoil', 'unlimitedHolofoil', '1stEditionHolofoil'];
+
+  return order.find(p => prices[p])
+    || available.find(p => p !== 'reverseHolofoil')
+    || null;
+}
+
+/**
+ * Printings a card is known to exist in: the priced ones plus those listed
+ * in the card store's embedded `tcgplayer.prices` block. With neither, the
+ * rarity's usual printing (holofoil for holo rarities, normal otherwise).
+ */
+export function knownPrintings(card = {}) {
+  const known = new Set([
+    ...Object.keys(card.prices || {}),
+    ...Object.keys(card.tcgplayer?.prices || {}).map(p => normalizePrinting(p))
+  ]);
+  if (!known.size) known.add(/holo/i.test(card.rarity || '') ? 'holofoil' : 'normal');
+  return [...known];
+}
+
+const LABELS = {
+  normal: 'Normal',
+  holofoil: 'Holofoil',
+  reverseHolofoil: 'Reverse Holofoil',
+  unlimited: 'Unlimited',
+  unlimitedHolofoil: 'Unlimited Holofoil',
+  '1stEdition': '1st Edition',
+  '1stEditionNormal': '1st Edition Normal',
+  '1stEditionHolofoil': '1st Edition Holofoil'
+};
+
+/** Human label for a normalized printing key ("reverseHolofoil" → "Reverse Holofoil"). */
+export function printingLabel(printing) {
+  if (LABELS[printing]) return LABELS[printing];
+  const words = String(printing || 'normal').replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return words[0].toUpperCase() + words.slice(1);
+}
@@ -0,0 +1,102 @@
+/**
+ * quality-gates.js
+ *
+ * Compares this run's catalog with the last committed one and decides
+ * whether it is fit to ship. Thresholds live in `config/quality-gates.json`
+ * (override the path with QUALITY_GATES_FILE):
+ *
+ *  {
+ *    version: 1,
+ *    baselineRef: "HEAD",            // git ref holding the last shipped data/
+ *    maxCardDropPercent: 2,          // total cards may fall by at most this much
+ *    maxCoverageDropPoints: 5,       // pricing coverage (%) may fall by at most this many points
+ *    minPricingCoverage: 1,          // and must be at least this (%)
+ *    allowRemovedSets: false,        // a set present in the baseline may not disappear
+ *    maxChunkShrinkPercent: 50       // a chunk file kept under the same name may not shrink more
+ *  }
+ *
+ * Snapshots are { totalCards, cardsWithPricing, sets: [setId], files: { name: bytes } }.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const GATES_VERSION = 1;
+export const GATES_FILE = process.env.QUALITY_GATES_FILE ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'quality-gates.json');
+
+const DEFAULTS = {
+  baselineRef: 'HEAD',
+  maxCardDropPercent: 2,
+  maxCoverageDropPoints: 5,
+  minPricingCoverage: 1,
+  allowRemovedSets: false,
+  maxChunkShrinkPercent: 50
+};
+
+export function loadGates(file = GATES_FILE) {
+  if (!fs.existsSync(file)) return { version: GATES_VERSION, ...DEFAULTS };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (data.version !== GATES_VERSION) throw new Error(`Unsupported quality gates version ${data.version} in ${file}`);
+  const gates = { ...DEFAULTS, ...data };
+  for (const key of ['maxCardDropPercent', 'maxCoverageDropPoints', 'minPricingCoverage', 'maxChunkShrinkPercent']) {
+    if (!Number.isFinite(gates[key]) || gates[key] < 0) throw new Error(`Invalid ${key} in ${file}: expected a number >= 0`);
+  }
+  return gates;
+}
+
+/** Snapshot of a tcg-cards-index.json plus chunk sizes (filename → bytes). */
+export function snapshotFromIndex(index, files) {
+  const sets = index.setFiles ? Object.keys(index.setFiles) : (index.sets || []).map(s => s.id);
+  return {
+    totalCards: index.totalCards || 0,
+    cardsWithPricing: index.cardsWithPricing || 0,
+    sets: sets.filter(Boolean),
+    files
+  };
+}
+
+function coverage(s) {
+  return s.totalCards ? (s.cardsWithPricing / s.totalCards) * 100 : 0;
+}
+
+const pct = (n) => `${n.toFixed(1)}%`;
+
+/**
+ * Runs every gate. Returns { passed, checks: [{ name, passed, detail }] };
+ * without a baseline only the absolute coverage floor applies.
+ */
+export function evaluateGates(baseline, current, gates) {
+  const checks = [];
+  const add = (name, passed, detail) => checks.push({ name, passed, detail });
+
+  const cov = coverage(current);
+  add('pricingCoverage', cov >= gates.minPricingCoverage,
+    `pricing coverage is ${pct(cov)} (${current.cardsWithPricing}/${current.totalCards}); minimum ${pct(gates.minPricingCoverage)}`);
+
+  if (baseline) {
+    const drop = baseline.totalCards ? ((baseline.totalCards - current.totalCards) / baseline.totalCards) * 100 : 0;
+    add('totalCards', drop <= gates.maxCardDropPercent,
+      `total cards ${baseline.totalCards} → ${current.totalCards} (${drop > 0 ? `-${pct(drop)}` : 'no drop'}); allowed drop ${pct(gates.maxCardDropPercent)}`);
+
+    const covDrop = coverage(baseline) - cov;
+    add('coverageDrop', covDrop <= gates.maxCoverageDropPoints,
+      `pricing coverage ${pct(coverage(baseline))} → ${pct(cov)} (${covDrop > 0 ? `-${covDrop.toFixed(1)}` : '+0.0'} points); allowed drop ${gates.maxCoverageDropPoints} points`);
+
+    const have = new Set(current.sets);
+    const removed = baseline.sets.filter(id => !have.has(id));
+    add('removedSets', gates.allowRemovedSets || !removed.length,
+      removed.length ? `${removed.length} set(s) disappeared: ${removed.join(', ')}` : 'no sets disappeared');
+
+    const shrunk = Object.entries(baseline.files)
+      .filter(([name, bytes]) => bytes > 0 && current.files[name] !== undefined)
+      .map(([name, bytes]) => ({ name, bytes, now: current.files[name], shrink: ((bytes - current.files[name]) / bytes) * 100 }))
+      .filter(f => f.shrink > gates.maxChunkShrinkPercent);
+    add('chunkShrink', !shrunk.length, shrunk.length
+      ? `${shrunk.length} chunk file(s) shrank more than ${pct(gates.maxChunkShrinkPercent)}: ` +
+        shrunk.map(f => `${f.name} ${f.bytes} → ${f.now} bytes (-${pct(f.shrink)})`).join(', ')
+      : `no chunk file shrank more than ${pct(gates.maxChunkShrinkPercent)}`);
+  }
+
+  return { passed: checks.every(c => c.passed), checks };
+}
@@ -0,0 +1,223 @@
+/**
+ * set-aliases.js
+ *
+ * Loads the set alias registry (`config/set-aliases.json`) and resolves any
+ * spelling a pricing source may use — TCGCSV group id or name, ptcgoCode,
+ * set name, alternate spellings — to the canonical pokemontcg set id.
+ *
+ * Registry shape:
+ *  {
+ *    version: 1,
+ *    sets: {
+ *      "<setId>": {
+ *        name, series, releaseDate, ptcgoCode,   // seeded from sets/en.json
+ *        tcgcsvGroupIds: [], groupNames: [],     // pricing-side identifiers
+ *        aliases: []                             // alternate spellings
+ *      }
+ *    }
+ *  }
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const REGISTRY_VERSION = 1;
+export const ALIASES_FILE = process.env.SET_ALIASES_FILE ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'config', 'set-aliases.json');
+
+/**
+ * Loose form used for lookups: lowercase, accents and punctuation removed,
+ * "&"/"and" dropped, so "Sword & Shield" and "sword-shield" collide.
+ */
+export function aliasKey(value) {
+  return String(value ?? '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&|\band\b/g, ' ')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+export function loadAliasRegistry(file = ALIASES_FILE) {
+  if (!fs.existsSync(file)) return { version: REGISTRY_VERSION, sets: {} };
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(`Unsupported set alias registry version ${registry.version} in ${file}`);
+  }
+  return registry;
+}
+
+export function saveAliasRegistry(registry, file = ALIASES_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + '\n', 'utf8');
+}
+
+/** Every spelling that should resolve to `setId`, canonical id first. */
+export function spellingsFor(setId, entry = {}) {
+  return [
+    setId,
+    entry.name,
+    entry.ptcgoCode,
+    ...(entry.tcgcsvGroupIds || []),
+    ...(entry.groupNames || []),
+    ...(entry.aliases || [])
+  ].filter(v => v !== undefined && v !== null && String(v).trim() !== '').map(String);
+}
+
+/** Pricing-side coverage: does any source identifier point at this set? */
+export function hasPricingCoverage(entry = {}) {
+  return Boolean((entry.tcgcsvGroupIds || []).length || (entry.groupNames || []).length);
+}
+
+/** "SWSH04" → "swsh4": a TCGplayer set code read as a set id. */
+function codeAsId(code) {
+  return code.toLowerCase().replace(/^([a-z]+)0+(?=\d)/, '$1');
+}
+
+/**
+ * Other readings of a TCGplayer/TCGCSV group name or abbreviation, most
+ * specific first: "SWSH04: Vivid Voltage" → swsh4, then "Vivid Voltage";
+ * "SM - Guardians Rising" → "Guardians Rising"; "SWSH04" → swsh4;
+ * "SM Base Set" → sm1; and names that lead with their series
+ * ("Scarlet & Violet 151") without it.
+ */
+function groupReadings(value, seriesKeys) {
+  const s = String(value ?? '').trim();
+  const readings = [];
+  let name = s;
+  const prefixed = s.match(/^([A-Za-z]+\d*[A-Za-z\d]*)(?::\s*|\s+-\s+)(.+)$/);
+  if (prefixed) {
+    if (/\d/.test(prefixed[1])) readings.push(codeAsId(prefixed[1]));
+    name = prefixed[2];
+    readings.push(name);
+  } else if (/^[A-Za-z]+\d+$/.test(s)) {
+    readings.push(codeAsId(s));
+  }
+  const baseSet = name.match(/^([A-Za-z]+)\s+Base Set$/i);
+  if (baseSet) readings.push(`${baseSet[1].toLowerCase()}1`);
+  const key = aliasKey(name);
+  for (const series of seriesKeys) {
+    if (key.length > series.length && key.startsWith(series)) readings.push(key.slice(series.length));
+  }
+  return readings;
+}
+
+/**
+ * Builds a resolver over a registry. Ids win over names, names over codes
+ * and aliases; a spelling claimed by two sets is kept by the first and
+ * listed in `conflicts`. Spellings the registry doesn't hold are also read
+ * the way TCGCSV names groups (see groupReadings).
+ *
+ * ptcgoCodes also get their own lookup, `resolveCode`, for deck lists: a
+ * code that spells another set's id (Gym Heroes' G1, Generations' g1)
+ * resolves to that id everywhere else and to its own set there.
+ */
+export function createSetResolver(registry = loadAliasRegistry()) {
+  const index = new Map();
+  const codes = new Map();
+  const conflicts = [];
+  const entries = Object.entries(registry.sets || {});
+  const ids = new Set(entries.map(([setId]) => aliasKey(setId)));
+  const seriesKeys = [...new Set(entries.map(([, e]) => aliasKey(e.series)).filter(Boolean))];
+
+  const claim = (value, setId) => {
+    const k = aliasKey(value);
+    if (!k) return;
+    const owner = index.get(k);
+    if (owner && owner !== setId) conflicts.push({ spelling: String(value), kept: owner, ignored: setId });
+    else index.set(k, setId);
+  };
+
+  for (const [setId] of entries) claim(setId, setId);
+  for (const [setId, entry] of entries) claim(entry.name, setId);
+  for (const [setId, entry] of entries) {
+    for (const v of spellingsFor(setId, entry).slice(1)) {
+      // Shadowed by the id it spells; resolveCode still finds it
+      if (v === entry.ptcgoCode && ids.has(aliasKey(v)) && aliasKey(v) !== aliasKey(setId)) continue;
+      claim(v, setId);
+    }
+  }
+  for (const [setId, entry] of entries) {
+    const k = aliasKey(entry.ptcgoCode);
+    if (!k) continue;
+    const owner = codes.get(k);
+    if (owner) conflicts.push({ spelling: String(entry.ptcgoCode), kept: owner, ignored: setId });
+    else codes.set(k, setId);
+  }
+
+  function resolve(value) {
+    const exact = index.get(aliasKey(value));
+    if (exact) return exact;
+    for (const reading of groupReadings(value, seriesKeys)) {
+      const id = index.get(aliasKey(reading));
+      if (id) return id;
+    }
+    return null;
+  }
+
+  return {
+    conflicts,
+
+    /** Canonical set id for any known spelling, or null. */
+    resolve,
+
+    /** Set id for a deck list set code: ptcgoCodes first, then resolve(). */
+    resolveCode(value) {
+      return codes.get(aliasKey(value)) || resolve(value);
+    },
+
+    /**
+     * Lowercased spellings of a set as they may appear in pricing keys,
+     * canonical id first. Unknown sets yield just the id.
+     */
+    keysFor(setId) {
+      const id = String(setId ?? '').toLowerCase();
+      const entry = registry.sets?.[id];
+      const out = new Set([id]);
+      if (entry) {
+        for (const v of spellingsFor(id, entry)) {
+          out.add(v.toLowerCase().trim());
+          out.add(aliasKey(v));
+        }
+      }
+      return [...out].filter(Boolean);
+    },
+
+    entry(setId) {
+      return registry.sets?.[String(setId ?? '').toLowerCase()] || null;
+    }
+  };
+}
+
+/**
+ * Merges a `sets/<lang>.json` list into the registry: adds missing sets and
+ * refreshes name/series/releaseDate/ptcgoCode, keeping every hand-edited
+ * group id, group name and alias. Returns the number of entries changed.
+ */
+export function seedAliasRegistry(registry, sets) {
+  let changed = 0;
+  registry.sets ||= {};
+  for (const set of sets) {
+    if (!set?.id) continue;
+    const id = String(set.id).toLowerCase();
+    const prev = registry.sets[id];
+    const next = {
+      name: set.name ?? prev?.name ?? null,
+      series: set.series ?? prev?.series ?? null,
+      releaseDate: set.releaseDate ?? prev?.releaseDate ?? null,
+      ptcgoCode: set.ptcgoCode ?? prev?.ptcgoCode ?? null,
+      tcgcsvGroupIds: prev?.tcgcsvGroupIds || [],
+      groupNames: prev?.groupNames || [],
+      aliases: prev?.aliases || []
+    };
+    if (JSON.stringify(prev) !== JSON.stringify(next)) {
+      registry.sets[id] = next;
+      changed++;
+    }
+  }
+
+  // Keep the file stable and readable: release order, then id
+  registry.sets = Object.fromEntries(Object.entries(registry.sets).sort(([a, x], [b, y]) =>
+    String(x.releaseDate || '').localeCompare(String(y.releaseDate || '')) || a.localeCompare(b)));
+  registry.version = REGISTRY_VERSION;
+  return changed;
+}
@@ -0,0 +1,119 @@
+/**
+ * shopify.js
+ *
+ * Thin Shopify Admin API client shared by the upload scripts.
+ *  - Honors `X-Shopify-Shop-Api-Call-Limit` (REST leaky bucket) by pausing
+ *    when the bucket is nearly full, and 429 `Retry-After` by waiting and
+ *    retrying, instead of sleeping a fixed interval between calls.
+ *  - GraphQL calls wait out `THROTTLED` errors using the query cost's
+ *    throttle status.
+ *  - SHOPIFY_API_BASE overrides the Admin API base URL so the scripts can
+ *    run against a local mock (e.g. http://127.0.0.1:8080/admin/api/2023-10).
+ */
+import fetch from 'node-fetch';
+
+export const API_VERSION = '2023-10';
+export const SHOPIFY_STORE = process.env.SHOPIFY_STORE;
+export const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+export const API_BASE = (process.env.SHOPIFY_API_BASE ||
+  `https://${SHOPIFY_STORE}.myshopify.com/admin/api/${API_VERSION}`).replace(/\/+$/, '');
+
+const MAX_RETRIES = Number.parseInt(process.env.SHOPIFY_MAX_RETRIES || '5', 10);
+const BUCKET_HEADROOM = 0.8; // pause once the bucket is 80% full
+const LEAK_PER_SECOND = 2;   // standard REST leak rate
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export function hasCredentials() {
+  return Boolean((SHOPIFY_STORE || process.env.SHOPIFY_API_BASE) && ACCESS_TOKEN);
+}
+
+async function respectCallLimit(response) {
+  const header = response.headers.get('x-shopify-shop-api-call-limit');
+  if (!header) return;
+  const [used, limit] = header.split('/').map(Number);
+  if (!limit || used < limit * BUCKET_HEADROOM) return;
+  const waitMs = Math.ceil((used - limit * BUCKET_HEADROOM + 1) / LEAK_PER_SECOND * 1000);
+  console.log(`  ⏳ API bucket at ${used}/${limit}; pausing ${waitMs}ms`);
+  await sleep(waitMs);
+}
+
+/**
+ * Calls `path` (relative to API_BASE, e.g. `/themes.json`) and returns the
+ * response. Retries 429s and 5xx responses; throws on other failures unless
+ * `allowStatus` includes the status.
+ */
+export async function shopifyRequest(path, { method = 'GET', body, allowStatus = [] } = {}) {
+  const url = path.startsWith('http') ? path : `${API_BASE}${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'X-Shopify-Access-Token': ACCESS_TOKEN,
+        'Content-Type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if ((response.status === 429 || response.status >= 500) && attempt < MAX_RETRIES) {
+      const retryAfter = Number.parseFloat(response.headers.get('retry-after'));
+      const waitMs = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * 2 ** attempt;
+      console.log(`  ⏳ ${response.status} from ${method} ${path}; retrying in ${waitMs}ms`);
+      await sleep(waitMs);
+      continue;
+    }
+
+    await respectCallLimit(response);
+
+    if (!response.ok && !allowStatus.includes(response.status)) {
+      const errorText = await response.text();
+      throw new Error(`${method} ${path} failed: ${response.status} ${response.statusText} ${errorText}`.trim());
+    }
+    return response;
+  }
+}
+
+export async function shopifyJSON(path, options) {
+  const response = await shopifyRequest(path, options);
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Runs a GraphQL Admin API query and returns `data`. Throttled queries are
+ * retried after the bucket has restored enough points; other GraphQL
+ * errors throw.
+ */
+export async function shopifyGraphQL(query, variables = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const result = await shopifyJSON('/graphql.json', { method: 'POST', body: { query, variables } });
+    const throttled = (result.errors || []).some(e => e.extensions?.code === 'THROTTLED');
+    const status = result.extensions?.cost?.throttleStatus;
+
+    if (throttled && attempt < MAX_RETRIES) {
+      const needed = result.extensions?.cost?.requestedQueryCost || 100;
+      const restoreRate = status?.restoreRate || 50;
+      const waitMs = Math.ceil(Math.max(needed - (status?.currentlyAvailable || 0), restoreRate) / restoreRate * 1000);
+      console.log(`  ⏳ GraphQL throttled; retrying in ${waitMs}ms`);
+      await sleep(waitMs);
+      continue;
+    }
+    if (result.errors?.length) {
+      throw new Error(`GraphQL error: ${result.errors.map(e => e.message).join('; ')}`);
+    }
+    return result.data;
+  }
+}
+
+export async function getMainThemeId() {
+  console.log('🔍 Finding main theme ID...');
+  const data = await shopifyJSON('/themes.json');
+  const mainTheme = data.themes.find(theme => theme.role === 'main');
+
+  if (!mainTheme) {
+    throw new Error('No main theme found');
+  }
+
+  console.log(`✅ Found main theme: ${mainTheme.name} (ID: ${mainTheme.id})`);
+  return mainTheme.id;
+}
@@ -0,0 +1,155 @@
+/**
+ * tcgcsv.js
+ *
+ * Crawls TCGCSV's TCGplayer mirror for one category:
+ *   /{category}/groups → /{category}/{groupId}/products + /{category}/{groupId}/prices
+ * and joins each price row (one per productId + subTypeName) with its
+ * product's extended data (card number, rarity) into flat rows that
+ * fetch-pricing.js normalizes like any other source.
+ *
+ * `base` may be a URL (default https://tcgcsv.com/tcgplayer) or a fixture
+ * directory laid out like the API with `.json` appended
+ * (`<dir>/3/groups.json`, `<dir>/3/604/products.json`, ...). Passing
+ * `record: dir` writes every response into that layout, so a live crawl
+ * can be replayed offline.
+ */
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_BASE = 'https://tcgcsv.com/tcgplayer';
+export const POKEMON_CATEGORY = 3;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRemote(base) {
+  return /^https?:\/\//i.test(base);
+}
+
+class FetchError extends Error {
+  constructor(message, retryable) {
+    super(message);
+    this.retryable = retryable;
+  }
+}
+
+async function fetchOnce(base, relPath) {
+  if (!isRemote(base)) {
+    const file = path.join(base, `${relPath}.json`);
+    if (!fs.existsSync(file)) throw new FetchError(`${file} not found`, false);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  const url = `${base.replace(/\/+$/, '')}/${relPath}`;
+  let res;
+  try {
+    res = await fetch(url);
+  } catch (e) {
+    throw new FetchError(`${url}: ${e.message}`, true);
+  }
+  if (!res.ok) throw new FetchError(`${url}: ${res.status} ${res.statusText}`, res.status === 429 || res.status >= 500);
+  return res.json();
+}
+
+/** Runs `fn` over `items` with at most `limit` calls in flight; keeps order. */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/** Extended data value by name ("Number", "Rarity"), or null. */
+function extended(product, name) {
+  const item = (product.extendedData || []).find(d => d.name === name || d.displayName === name);
+  return item?.value ?? null;
+}
+
+/**
+ * Crawls the category and resolves to { rows, groups }. `groups` has one
+ * entry per TCGCSV group with product/price/row counts, or the error that
+ * made it fail after retries; a failed group doesn't stop the crawl.
+ */
+export async function crawlTcgcsv({
+  base = DEFAULT_BASE,
+  category = POKEMON_CATEGORY,
+  concurrency = 4,
+  retries = 3,
+  retryDelayMs = 500,
+  groupFilter = null,
+  record = null
+} = {}) {
+  const getJSON = async (relPath) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await fetchOnce(base, relPath);
+        if (data && data.success === false) {
+          throw new FetchError(`${relPath}: ${(data.errors || []).join('; ') || 'success=false'}`, false);
+        }
+        if (record) {
+          const file = path.join(record, `${relPath}.json`);
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+        }
+        return data;
+      } catch (e) {
+        if (!e.retryable || attempt >= retries) throw e;
+        await sleep(retryDelayMs * 2 ** attempt);
+      }
+    }
+  };
+
+  const groupList = (await getJSON(`${category}/groups`)).results || [];
+  const selected = groupFilter?.length
+    ? groupList.filter(g => groupFilter.includes(String(g.groupId)) || groupFilter.includes(g.name) || groupFilter.includes(g.abbreviation))
+    : groupList;
+
+  const perGroup = await mapLimit(selected, concurrency, async (group) => {
+    const report = { groupId: String(group.groupId), name: group.name || '', abbreviation: group.abbreviation || null,
+      products: 0, prices: 0, rows: 0, ok: true, error: null };
+    try {
+      const [products, prices] = await Promise.all([
+        getJSON(`${category}/${group.groupId}/products`),
+        getJSON(`${category}/${group.groupId}/prices`)
+      ]);
+      const byId = new Map((products.results || []).map(p => [String(p.productId), p]));
+      report.products = byId.size;
+      report.prices = (prices.results || []).length;
+
+      const rows = [];
+      for (const price of prices.results || []) {
+        const product = byId.get(String(price.productId));
+        if (!product) continue;
+        rows.push({
+          groupId: String(group.groupId),
+          tcgcsvGroupId: String(group.groupId),
+          groupName: group.name || '',
+          groupAbbreviation: group.abbreviation || null,
+          productId: String(price.productId),
+          name: product.name,
+          extNumber: extended(product, 'Number') || '',
+          rarity: extended(product, 'Rarity'),
+          subTypeName: price.subTypeName || 'Normal',
+          low: price.lowPrice,
+          mid: price.midPrice,
+          high: price.highPrice,
+          market: price.marketPrice,
+          directLow: price.directLowPrice
+        });
+      }
+      report.rows = rows.length;
+      return { report, rows };
+    } catch (e) {
+      return { report: { ...report, ok: false, error: e.message }, rows: [] };
+    }
+  });
+
+  return {
+    rows: perGroup.flatMap(g => g.rows),
+    groups: perGroup.map(g => g.report)
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * validate.js
+ *
+ * Minimal JSON Schema validator (built-ins only) for the pipeline's data
+ * artifacts. Supports the subset the schemas in `schemas/` use: type,
+ * required, properties, additionalProperties, items, enum, minimum,
+ * minItems, minLength, pattern, allOf, anyOf and local `$ref`s to `#/definitions`.
+ *
+ * Violations carry a path like `cards[412].set.id` so failures point at
+ * the exact record.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SCHEMA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'schemas');
+const MAX_REPORTED = 20;
+
+const schemaCache = new Map();
+
+export function loadSchema(name) {
+  if (!schemaCache.has(name)) {
+    const file = path.join(SCHEMA_DIR, `${name}.schema.json`);
+    schemaCache.set(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+  return schemaCache.get(name);
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(v, type) {
+  const actual = typeOf(v);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function child(p, key) {
+  if (typeof key === 'number') return `${p}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? (p ? `${p}.${key}` : key) : `${p}[${JSON.stringify(key)}]`;
+}
+
+function resolveRef(root, ref) {
+  const parts = ref.replace(/^#\//, '').split('/');
+  return parts.reduce((node, part) => node?.[part], root);
+}
+
+function check(value, schema, p, root, errors) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+
+  if (schema.allOf) {
+    for (const s of schema.allOf) check(value, s, p, root, errors);
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(s => {
+      const sub = [];
+      check(value, s, p, root, sub);
+      return sub;
+    });
+    if (attempts.some(sub => !sub.length)) return;
+    // Report the branch that got furthest into the value, unless a message is given
+    const deepest = attempts.find(sub => sub.some(e => e.path !== p));
+    if (!schema.anyOfMessage && deepest) errors.push(...deepest);
+    else errors.push({ path: p, message: schema.anyOfMessage || 'matches none of the allowed shapes' });
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => typeMatches(value, t))) {
+      errors.push({ path: p, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: p, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: p, message: `must be >= ${schema.minimum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: p, message: schema.minLength === 1 ? 'must not be empty' : `shorter than ${schema.minLength}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: p, message: `does not match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: p, message: `needs at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, child(p, i), root, errors));
+  } else if (value && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: child(p, key), message: 'missing' });
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) check(v, props[key], child(p, key), root, errors);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(v, schema.additionalProperties, child(p, key), root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: child(p, key), message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Validates `data` against schema `name` (file `schemas/<name>.schema.json`).
+ * `rootPath` prefixes every reported path. Returns an array of violations.
+ */
+export function validate(name, data, rootPath = '') {
+  const schema = loadSchema(name);
+  const errors = [];
+  check(data, schema, rootPath, schema, errors);
+  return errors;
+}
+
+export function formatViolations(label, errors) {
+  const lines = errors.slice(0, MAX_REPORTED).map(e => `  ${e.path || '(root)'} ${e.message}`);
+  if (errors.length > MAX_REPORTED) lines.push(`  … and ${errors.length - MAX_REPORTED} more`);
+  return `${label}: ${errors.length} violation(s)\n${lines.join('\n')}`;
+}
+
+/** Throws with a path-level summary when `data` doesn't match schema `name`. */
+export function assertValid(name, data, label = name, rootPath = '') {
+  const errors = validate(name, data, rootPath);
+  if (errors.length) {
+    const err = new Error(formatViolations(label, errors));
+    err.violations = errors;
+    throw err;
+  }
+  return data;
+}
@@ -5,26 +5,82 @@
  * writes chunked card JSON files and an index manifest into /data.
  * 
  * INPUTS (expected):
- *  - data/cards-all.json  (array of card objects from Pokémon TCG API export)
- *    Each card minimally: { id, number, name, set: { id, name }, ... }
+ *  - card store written by fetch-cards.js (see scripts/lib/card-store.js);
+ *    each card minimally: { id, number, name, set: { id, name }, ... }, for
+ *    every CARD_LANGUAGES language (default en). Cards keep a `lang` field and
+ *    only match pricing keys of their own language (`…|EN`, `…|JP`); ids of
+ *    languages other than en get a language prefix (`ja:sv1-1`), see
+ *    catalogCardId() in scripts/lib/languages.js.
  *  - data/pricing-raw.json (from fetch-pricing.js)
  * 
  * OUTPUTS:
- *  - data/tcg-cards-index.json   (manifest with chunk list)
- *  - data/tcg-cards-chunk-#.json (cards with attached `pricing` object)
- * 
- * If your project produces cards in a different structure, adjust `loadCards()`.
+ *  - data/tcg-cards-index.json   (manifest: chunk list, per-file count/priced/
+ *                                 bytes/hash, set id → file and per-language
+ *                                 count/priced)
+ *  - data/tcg-cards-chunk-#.json (cards with a `prices` map keyed by printing
+ *                                 and `pricing`, the default printing's price;
+ *                                 each printing may carry `conditions` (LP…DMG)
+ *                                 and `grades` (PSA10…) from sources that price
+ *                                 them, plus conditions estimated from the NM
+ *                                 market with per-rarity multipliers, flagged
+ *                                 `estimated: true`; a printing priced only
+ *                                 played or graded has null NM fields; see
+ *                                 scripts/lib/conditions.js)
+ *    or, with CHUNK_MODE=set|series, stable per-set/per-series files:
+ *    data/tcg-cards-set-<setId>.json, data/tcg-cards-series-<series>.json
+ *  - data/pricing-unmatched.json (why cards/pricing entries didn't match)
+ *  - data/tcg-price-history-<setId>.json (7/30/90-day market series and % change
+ *                                 per card and printing, from data/history/)
+ *  - data/tcg-search-index.json  (compact rows for scripts/lib/card-search.js:
+ *                                 name tokens, set, number, rarity, types,
+ *                                 supertype, market price/bucket, chunk)
+ *  - data/inventory-valuation.json (when config/inventory.json has stock:
+ *                                 value in total, by set and by condition,
+ *                                 and in-stock cards without a price;
+ *                                 removed when the inventory is empty)
  */
 import fs from 'fs';
 import path from 'path';
 import process from 'process';
+import { loadCards, hashContent } from './lib/card-store.js';
+import { createPricingDiagnostics, REVIEW_CONFIDENCE } from './lib/pricing-diagnostics.js';
+import { createSetResolver } from './lib/set-aliases.js';
+import { normalizePrinting, defaultPrinting } from './lib/printings.js';
+import { normalizeName, bestNameMatch } from './lib/name-match.js';
+import { loadOverrides, resolveOverride } from './lib/pricing-overrides.js';
+import { DEFAULT_LANGUAGE, catalogCardId, pricingLang } from './lib/languages.js';
+import { assertValid } from './lib/validate.js';
+import { listMonths, loadHistory, summarizeSeries, daysBefore } from './lib/price-history.js';
+import { INDEX_FILE as SEARCH_INDEX_FILE, buildSearchIndex } from './lib/card-search.js';
+import { runAsScript } from './lib/pipeline.js';
+import { loadInventory, valueInventory, VALUATION_FILE } from './lib/inventory.js';
+import {
+  CONDITIONS, DEFAULT_CONDITION, parseVariant, loadConditionModel, loadConditionMultipliers, conditionMultiplier
+} from './lib/conditions.js';
+import { loadSourcesConfig } from './lib/pricing-sources.js';
+import { CHUNK_FILE_PATTERN } from './lib/catalog.js';
 
 const REPO_ROOT = process.cwd();
 const DATA_DIR  = path.join(REPO_ROOT, 'data');
-const CARDS_SRC = path.join(DATA_DIR, 'cards-all.json');
 const PRICING   = path.join(DATA_DIR, 'pricing-raw.json');
+const UNMATCHED = path.join(DATA_DIR, 'pricing-unmatched.json');
 
 const CHUNK_SIZE = 5000;
+// size: fixed CHUNK_SIZE chunks; set: one file per set, with sets under
+// CHUNK_MIN_SET_CARDS folded into their series' file; series: one per series
+const CHUNK_MODE = process.env.CHUNK_MODE || 'size';
+const CHUNK_MIN_SET_CARDS = Number.parseInt(process.env.CHUNK_MIN_SET_CARDS || '30', 10);
+const HISTORY_WINDOWS = [7, 30, 90];
+const PRICE_HISTORY_FILE_PATTERN = /^tcg-price-history-[\w.-]+\.json$/;
+// Name-matching pass for pricing rows with no card number
+const NAME_MATCH = {
+  minConfidence: Number.parseFloat(process.env.NAME_MATCH_MIN_CONFIDENCE || '0.85'),
+  minMargin: Number.parseFloat(process.env.NAME_MATCH_MIN_MARGIN || '0.1')
+};
+
+// Built per run, so a sync run sees aliases fetch-cards just seeded
+let setResolver = null;
+let conditionModel = null;
 
 // ------- utilities ----------------------------------------------------------
 function readJson(p, optional=false) {
@@ -43,16 +99,8 @@ function writeJson(p, obj) {
 function normalizeSetId(setId) {
   if (!setId) return [''];
   const s = String(setId).toLowerCase();
-  const out = new Set([s, s.replace(/[^a-z0-9]/g,'')]);
-
-  // common aliases for vintage
-  if (s === 'base') { out.add('base1'); out.add('base-set'); }
-  if (s === 'base1') { out.add('base'); out.add('base-set'); }
-
-  // Try removing trailing number (neo1 -> neo)
-  out.add(s.replace(/(\d+)$/, ''));
-
-  return [...out];
+  // Canonical id first, then every spelling the alias registry knows
+  return [...new Set([s, s.replace(/[^a-z0-9]/g,''), ...setResolver.keysFor(s)])];
 }
 
 function numberCandidates(n) {
@@ -76,14 +124,6 @@ function numberCandidates(n) {
   return [...out].filter(Boolean);
 }
 
-function normalizePrint(v='normal'){
-  v = String(v || 'normal').toLowerCase();
-  if (v.startsWith('rev') || v.includes('reverse')) return 'reverse';
-  if (v.includes('holo') || v.includes('foil'))   return 'holo';
-  if (v.includes('normal'))                        return 'normal';
-  return v || 'normal';
-}
-
 function toSetIdFromCard(card) {
   // card.set?.id is the best source; fallback to id prefix like "base1-1"
   if (card?.set?.id) return String(card.set.id).toLowerCase();
@@ -93,43 +133,291 @@ function toSetIdFromCard(card) {
   return '';
 }
 
-function attachPricing(card, pricingMap) {
-  const setIds = normalizeSetId(toSetIdFromCard(card));
-  const nums   = numberCandidates(card.number);
-  const prints = [normalizePrint(card.printing || card.variant || card.rarity || 'normal'), 'normal','holo','reverse'];
+/**
+ * Indexes pricing entries by `setId|number|lang` so every printing of a
+ * card is found with one lookup. "4/102"-style numbers are also indexed
+ * under their left-hand part. Entries without a card number (blank or
+ * "#<productId>") go to `byGroup` for the name-matching pass instead;
+ * `byProduct` maps productId → entries for manual overrides. Condition and
+ * grade entries (fifth key slot) are indexed alongside with their `variant`.
+ */
+function indexPricing(pricingMap) {
+  const index = new Map();
+  const byGroup = new Map();
+  const byProduct = new Map();
+  for (const [key, entry] of Object.entries(pricingMap)) {
+    const [gid = '', num = '', printing = '', lang = 'EN', variant = ''] = key.split('|');
+    const hit = { key, entry, lang, variant: variant || null, printing: normalizePrinting(entry?.printing || printing), name: entry?.name || '' };
+    if (entry?.productId !== undefined && entry?.productId !== null && entry.productId !== '') {
+      const pid = String(entry.productId);
+      if (!byProduct.has(pid)) byProduct.set(pid, []);
+      byProduct.get(pid).push(hit);
+    }
+    if (!num || num.startsWith('#')) {
+      const k = `${gid}|${lang}`;
+      if (!byGroup.has(k)) byGroup.set(k, []);
+      byGroup.get(k).push(hit);
+      continue;
+    }
+    const nums = new Set([num]);
+    if (num.includes('/')) {
+      const left = num.split('/')[0].trim();
+      nums.add(left);
+      const n = parseInt(left, 10);
+      if (Number.isFinite(n) && /^\d+$/.test(left)) nums.add(String(n));
+    }
+    for (const n of nums) {
+      const k = `${gid}|${n}|${lang}`;
+      if (!index.has(k)) index.set(k, []);
+      index.get(k).push(hit);
+    }
+  }
+  index.byGroup = byGroup;
+  index.byProduct = byProduct;
+  return index;
+}
+
+function cardLang(card) {
+  return card.lang || DEFAULT_LANGUAGE;
+}
+
+/** `lang|setId|normalized name` → number of cards, to spot names a set repeats. */
+function countCardNames(cards) {
+  const counts = new Map();
+  for (const card of cards) {
+    const k = `${cardLang(card)}|${toSetIdFromCard(card)}|${normalizeName(card.name)}`;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Number lookup: the first `setId|number|lang` key with pricing entries.
+ * Returns { hits, tried } with hits null when no key matched.
+ */
+function matchByNumber(setIds, nums, lang, pricingIndex) {
+  let tried = 0;
+  for (const gid of setIds) {
+    for (const num of nums) {
+      tried++;
+      const hits = pricingIndex.get(`${gid}|${num}|${lang}`);
+      if (hits) return { hits, tried };
+    }
+  }
+  return { hits: null, tried };
+}
 
-  let match = null;
+/**
+ * One card's side of the name pass: compares the card name with the set's
+ * number-less pricing rows. Returns { hits, name, confidence } for the best
+ * product, { rejected } for the diagnostics report, or null when the set
+ * has no such rows.
+ */
+function nameCandidate(card, setIds, pricingIndex, cardNameCounts) {
+  const lang = pricingLang(cardLang(card));
+  const candidates = setIds.flatMap(gid => pricingIndex.byGroup.get(`${gid}|${lang}`) || []);
+  if (!candidates.length) return null;
+  if (cardNameCounts.get(`${cardLang(card)}|${toSetIdFromCard(card)}|${normalizeName(card.name)}`) > 1) {
+    return { rejected: 'card name is not unique in its set' };
+  }
+  const best = bestNameMatch(card.name, candidates, NAME_MATCH);
+  const keys = (best.candidates || []).map(c => c.key);
+  if (best.rejected) return { rejected: best.rejected, name: best.name, confidence: best.confidence, keys };
+  return { hits: best.candidates, name: best.name, confidence: best.confidence };
+}
 
-  outer: for (const gid of setIds) {
-    for (const num of nums) for (const pr of prints) {
-      const k = `${gid}|${num}|${pr}|EN`;
-      if (pricingMap[k]) { match = pricingMap[k]; break outer; }
+/**
+ * Second pass for cards with neither an override nor a number match:
+ * collects every card's best product first, then keeps only the pairs that
+ * are each other's best — the product's most confident card, with no tie.
+ * The other cards naming that product are rejected, so one product never
+ * prices two cards and input order never decides which one it prices.
+ * Returns card id → nameCandidate() result.
+ */
+function matchByName(cards, pricingIndex, cardNameCounts, overrides) {
+  const results = new Map();
+  const products = new Map();   // card id → product ids it matched
+  const byProduct = new Map();  // product id → card ids that matched it
+  for (const card of cards) {
+    const setIds = normalizeSetId(toSetIdFromCard(card));
+    const lang = pricingLang(cardLang(card));
+    const override = resolveOverride(overrides[card.id], pricingIndex.byProduct, lang);
+    if (override?.unpriceable || override?.hits) continue;
+    if (matchByNumber(setIds, numberCandidates(card.number), lang, pricingIndex).hits) continue;
+    const result = nameCandidate(card, setIds, pricingIndex, cardNameCounts);
+    if (!result) continue;
+    results.set(card.id, result);
+    if (!result.hits) continue;
+    products.set(card.id, [...new Set(result.hits.map(c => String(c.entry?.productId ?? c.key)))]);
+    for (const p of products.get(card.id)) {
+      if (!byProduct.has(p)) byProduct.set(p, []);
+      byProduct.get(p).push(card.id);
     }
   }
-  // sealed / blank-number fallback
-  if (!match) {
-    for (const gid of setIds) for (const pr of prints) {
-      const k = `${gid}||${pr}|EN`;
-      if (pricingMap[k]) { match = pricingMap[k]; break; }
+
+  for (const [cardId, ids] of products) {
+    const result = results.get(cardId);
+    const rivals = ids.flatMap(p => byProduct.get(p)).filter(id => id !== cardId);
+    const better = rivals.find(id => results.get(id).confidence >= result.confidence);
+    if (better === undefined) continue;
+    const tie = results.get(better).confidence === result.confidence;
+    results.set(cardId, {
+      rejected: tie ? `product name-matches ${better} equally well` : `product better name-matched to ${better}`,
+      name: result.name,
+      confidence: result.confidence,
+      keys: result.hits.map(c => c.key)
+    });
+  }
+  return results;
+}
+
+function priceFields(entry) {
+  return {
+    market: entry.market,
+    low: entry.low,
+    mid: entry.mid,
+    high: entry.high,
+    directLow: entry.directLow,
+    productId: entry.productId ?? null,
+    ...(entry.source ? { source: entry.source, updatedAt: entry.sourceUpdatedAt ?? null } : {})
+  };
+}
+
+function variantFields(entry) {
+  return {
+    market: entry.market,
+    low: entry.low,
+    high: entry.high,
+    ...(entry.source ? { source: entry.source, updatedAt: entry.sourceUpdatedAt ?? null } : {})
+  };
+}
+
+/**
+ * Fills every condition no source priced with the NM market × the card
+ * rarity's multiplier, flagged `estimated`, and keeps conditions in
+ * NM→DMG order.
+ */
+function estimateConditions(prices, rarity) {
+  for (const slot of Object.values(prices)) {
+    const known = slot.conditions || {};
+    const conditions = {};
+    for (const condition of CONDITIONS) {
+      if (condition === DEFAULT_CONDITION) continue;
+      if (known[condition]) conditions[condition] = known[condition];
+      else if (slot.market > 0) {
+        const market = Math.round(slot.market * conditionMultiplier(conditionModel, rarity, condition) * 100) / 100;
+        conditions[condition] = { market, estimated: true };
+      }
     }
+    if (Object.keys(conditions).length) slot.conditions = conditions;
   }
+}
 
-  if (match) {
-    card.pricing = {
-      market: match.market,
-      low: match.low,
-      high: match.high
-    };
-  } else {
+/**
+ * Attaches `prices`/`pricing` to a card. A manual override (pin or
+ * unpriceable) wins; otherwise number matching, then the name pass. Only
+ * pricing entries in the card's language are considered.
+ */
+function attachPricing(card, pricingIndex, { diagnostics = null, matches = null, nameMatches = new Map(), overrides = {} } = {}) {
+  const setIds = normalizeSetId(toSetIdFromCard(card));
+  const nums   = numberCandidates(card.number);
+  const lang   = pricingLang(cardLang(card));
+
+  let hits = null;
+  let tried = 0;
+
+  const override = resolveOverride(overrides[card.id], pricingIndex.byProduct, lang);
+  if (override?.unpriceable) {
+    diagnostics?.recordUnpriceable();
+    card.prices = null;
     card.pricing = null;
+    return card;
+  }
+  if (override?.stale) diagnostics?.recordStaleOverride(card.id, override.stale);
+  if (override?.hits) hits = override.hits;
+
+  if (!hits) {
+    const byNumber = matchByNumber(setIds, nums, lang, pricingIndex);
+    hits = byNumber.hits;
+    tried += byNumber.tried;
   }
+  // No number match: the name pass's result for this card (see matchByName)
+  let nameMatch = null;
+  if (!hits) {
+    tried++;
+    nameMatch = nameMatches.get(card.id) ?? null;
+    if (nameMatch?.hits) hits = nameMatch.hits;
+  }
+
+  // One slot per printing; the first (most specific) hit wins. Condition
+  // and grade prices hang off their printing's raw (NM) price; a printing
+  // a source only prices played or graded gets a slot without one.
+  const prices = {};
+  const keys = {};
+  const slot = (fields) => {
+    if (override?.hits) fields.match = 'override';
+    else if (nameMatch?.hits) Object.assign(fields, { match: 'name', confidence: nameMatch.confidence });
+    return fields;
+  };
+  const variantHits = (hits || []).filter(h => h.variant);
+  for (const { printing, entry, key } of (hits || []).filter(h => !h.variant)) {
+    if (prices[printing]) continue;
+    prices[printing] = slot(priceFields(entry));
+    keys[printing] = key;
+  }
+  const rawPriced = { ...prices };
+  for (const { printing, entry, variant } of variantHits) {
+    prices[printing] ||= slot({ market: null, low: null, mid: null, high: null, directLow: null, productId: entry.productId ?? null });
+    const { condition, grade } = parseVariant(variant);
+    const group = condition ? (prices[printing].conditions ||= {}) : (prices[printing].grades ||= {});
+    group[condition || grade] ??= variantFields(entry);
+  }
+  if (conditionModel.estimate) estimateConditions(prices, card.rarity);
+  if (matches && hits) matches.set(card.id, keys);
+
+  if (diagnostics) {
+    diagnostics.record(card, { setIds, numbers: nums }, (hits || []).map(h => h.key), tried,
+      { nameMatch, override: Boolean(override?.hits) });
+  }
+
+  const printing = defaultPrinting(rawPriced, card) || defaultPrinting(prices, card);
+  card.prices = Object.keys(prices).length ? prices : null;
+  card.pricing = printing ? { printing, ...prices[printing] } : null;
   return card;
 }
 
 // ------- main ---------------------------------------------------------------
-function loadCards() {
-  // Expect a single file with all cards
-  return readJson(CARDS_SRC);
+/**
+ * Writes one lazy-loadable price history asset per set from the history
+ * store, keyed by card id and printing. Returns { [setId]: filename }.
+ */
+function writePriceHistoryAssets(merged, matches) {
+  if (!listMonths().length) return {};
+  const asOf = new Date().toISOString().slice(0, 10);
+  const history = loadHistory(daysBefore(asOf, Math.max(...HISTORY_WINDOWS)));
+
+  const bySet = new Map();
+  for (const card of merged) {
+    const keys = matches.get(card.id);
+    if (!keys) continue;
+    const entry = {};
+    for (const [printing, key] of Object.entries(keys)) {
+      const points = history.get(key);
+      if (points?.length) entry[printing] = summarizeSeries(points, asOf, HISTORY_WINDOWS);
+    }
+    if (!Object.keys(entry).length) continue;
+    const setId = toSetIdFromCard(card);
+    if (!bySet.has(setId)) bySet.set(setId, {});
+    bySet.get(setId)[card.id] = entry;
+  }
+
+  const files = {};
+  for (const [setId, cards] of bySet) {
+    const name = `tcg-price-history-${setId}.json`;
+    writeJson(path.join(DATA_DIR, name), { setId, asOf, windows: HISTORY_WINDOWS, cards });
+    files[setId] = name;
+  }
+  return files;
 }
 
 function chunkArray(arr, size) {
@@ -138,44 +426,212 @@ function chunkArray(arr, size) {
   return out;
 }
 
-function main() {
-  const cards = loadCards();
+function slug(s) {
+  return String(s || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+/**
+ * Splits merged cards into named files per CHUNK_MODE. Set and series
+ * filenames depend only on the set/series, so unchanged files keep their
+ * name and content across runs.
+ */
+function partitionCards(merged, mode = CHUNK_MODE) {
+  if (mode === 'size') {
+    return chunkArray(merged, CHUNK_SIZE).map((cards, idx) => ({ name: `tcg-cards-chunk-${idx+1}.json`, cards }));
+  }
+  if (mode !== 'set' && mode !== 'series') {
+    throw new Error(`Unknown CHUNK_MODE "${mode}" (expected size, set or series)`);
+  }
+
+  const bySet = new Map();
+  for (const card of merged) {
+    const setId = toSetIdFromCard(card);
+    if (!bySet.has(setId)) bySet.set(setId, []);
+    bySet.get(setId).push(card);
+  }
+
+  const files = new Map();
+  for (const [setId, cards] of bySet) {
+    const ownFile = mode === 'set' && cards.length >= CHUNK_MIN_SET_CARDS;
+    const name = ownFile
+      ? `tcg-cards-set-${slug(setId)}.json`
+      : `tcg-cards-series-${slug(cards[0].set?.series)}.json`;
+    if (!files.has(name)) files.set(name, []);
+    files.get(name).push(...cards);
+  }
+  return [...files].map(([name, cards]) => ({ name, cards }));
+}
+
+/**
+ * Removes files matching `pattern` left over from earlier runs (chunks of
+ * another mode, history of sets that no longer have any) that aren't in `keep`.
+ */
+function removeStaleFiles(pattern, keep) {
+  const keepSet = new Set(keep);
+  const stale = fs.readdirSync(DATA_DIR).filter(f => pattern.test(f) && !keepSet.has(f));
+  stale.forEach(f => fs.unlinkSync(path.join(DATA_DIR, f)));
+  return stale;
+}
+
+/** Stage: merges the card store with pricing-raw.json into the chunked catalog. */
+export async function mergeData() {
+  setResolver = createSetResolver();
+  conditionModel = loadConditionModel();
+  const cards = assertValid('set-cards', loadCards(), 'card store', 'cards')
+    .map(c => ({ ...c, id: catalogCardId(c.id, cardLang(c)) }));
   const pricingRaw = readJson(PRICING, true);
+  if (pricingRaw) assertValid('pricing-raw', pricingRaw, 'pricing-raw.json');
   const pricingMap = pricingRaw?.pricing || {};
 
   console.log(`Cards: ${cards.length} • Pricing entries: ${Object.keys(pricingMap).length}`);
   let withPricing = 0;
+  const diagnostics = createPricingDiagnostics(pricingMap);
+  const pricingIndex = indexPricing(pricingMap);
+  const matches = new Map();
+  const { overrides } = loadOverrides();
+  const cardIds = new Set(cards.map(c => c.id));
+  for (const cardId of Object.keys(overrides)) {
+    if (!cardIds.has(cardId)) diagnostics.recordStaleOverride(cardId, 'card id is not in the card store');
+  }
 
+  const nameMatches = matchByName(cards, pricingIndex, countCardNames(cards), overrides);
+
+  const languages = {};
+  const variantCounts = { sourcedConditions: 0, estimatedConditions: 0, grades: 0 };
   const merged = cards.map(c => {
-    const r = attachPricing({ ...c }, pricingMap);
-    if (r.pricing) withPricing++;
+    const r = attachPricing({ ...c }, pricingIndex, { diagnostics, matches, nameMatches, overrides });
+    const l = languages[cardLang(r)] ||= { count: 0, priced: 0 };
+    l.count++;
+    if (r.prices) { withPricing++; l.priced++; }
+    for (const slot of Object.values(r.prices || {})) {
+      for (const p of Object.values(slot.conditions || {})) variantCounts[p.estimated ? 'estimatedConditions' : 'sourcedConditions']++;
+      variantCounts.grades += Object.keys(slot.grades || {}).length;
+    }
     return r;
   });
 
-  // Write chunks
-  const chunks = chunkArray(merged, CHUNK_SIZE);
+  // Write chunks (all validated first so a bad card never leaves a half-written set)
+  const chunks = partitionCards(merged).map(({ name, cards }) => ({ name, body: { cards } }));
+  chunks.forEach(({ name, body }) => assertValid('cards-chunk', body, name));
   const chunkNames = [];
-  chunks.forEach((chunk, idx) => {
-    const name = `tcg-cards-chunk-${idx+1}.json`;
-    writeJson(path.join(DATA_DIR, name), { cards: chunk });
+  const files = {};
+  const setFiles = {};
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  chunks.forEach(({ name, body }) => {
+    const text = JSON.stringify(body, null, 2);
+    fs.writeFileSync(path.join(DATA_DIR, name), text, 'utf8');
     chunkNames.push(name);
+
+    const sets = new Set();
+    for (const card of body.cards) {
+      const setId = toSetIdFromCard(card);
+      const entry = setFiles[setId] || (setFiles[setId] = { files: [], count: 0, priced: 0 });
+      if (!sets.has(setId)) { sets.add(setId); entry.files.push(name); }
+      entry.count++;
+      if (card.prices) entry.priced++;
+    }
+    files[name] = {
+      count: body.cards.length,
+      priced: body.cards.filter(c => c.prices).length,
+      bytes: Buffer.byteLength(text, 'utf8'),
+      hash: hashContent(text),
+      sets: [...sets]
+    };
   });
+  const stale = removeStaleFiles(CHUNK_FILE_PATTERN, chunkNames);
+  if (stale.length) console.log(`🧹 Removed ${stale.length} stale chunk file(s): ${stale.join(', ')}`);
+
+  const priceHistory = writePriceHistoryAssets(merged, matches);
+  const staleHistory = removeStaleFiles(PRICE_HISTORY_FILE_PATTERN, Object.values(priceHistory));
+  if (staleHistory.length) console.log(`🧹 Removed ${staleHistory.length} stale price history file(s): ${staleHistory.join(', ')}`);
+
+  // Search index over the chunks just written
+  const searchIndex = buildSearchIndex(chunks.map(({ name, body }) => ({ name, cards: body.cards })));
+  assertValid('search-index', searchIndex, SEARCH_INDEX_FILE);
+  fs.writeFileSync(path.join(DATA_DIR, SEARCH_INDEX_FILE), JSON.stringify(searchIndex), 'utf8'); // compact: one row per card
 
   // Manifest
   const index = {
     generatedAt: new Date().toISOString(),
     totalCards: merged.length,
     cardsWithPricing: withPricing,
-    chunks: chunkNames
+    languages,
+    pricingStats: diagnostics.stats(),
+    partition: CHUNK_MODE,
+    chunks: chunkNames,
+    files,
+    setFiles,
+    priceHistory,
+    searchIndex: SEARCH_INDEX_FILE
   };
+  assertValid('cards-index', index, 'tcg-cards-index.json');
   writeJson(path.join(DATA_DIR, 'tcg-cards-index.json'), index);
 
+  // Inventory valuation against the prices just merged; an emptied
+  // inventory must not leave the last valuation behind
+  const { items: inventory } = loadInventory();
+  const valuationFile = path.join(DATA_DIR, VALUATION_FILE);
+  const valuation = inventory.length
+    ? valueInventory(inventory, merged, loadConditionMultipliers(), { currency: loadSourcesConfig().baseCurrency })
+    : null;
+  let staleValuation = false;
+  if (valuation) {
+    assertValid('inventory-valuation', valuation, VALUATION_FILE);
+    writeJson(valuationFile, valuation);
+    console.log(`💰 Inventory value ${valuation.totals.value.toFixed(2)} ${valuation.currency}; ` +
+      `${valuation.unpriced.length} in-stock line(s) without a price → ${path.relative(REPO_ROOT, valuationFile)}`);
+  } else if (fs.existsSync(valuationFile)) {
+    fs.unlinkSync(valuationFile);
+    staleValuation = true;
+    console.log(`🧹 Removed stale ${path.relative(REPO_ROOT, valuationFile)} (the inventory has no items)`);
+  }
+
+  // Match diagnostics
+  const report = diagnostics.report();
+  writeJson(UNMATCHED, report);
+  if (report.summary.nameMatchedCards) {
+    console.log(`🔤 Name-matched ${report.summary.nameMatchedCards} card(s) without a number match ` +
+      `(${report.summary.lowConfidenceNameMatches} below ${REVIEW_CONFIDENCE} confidence; see nameMatches in the report)`);
+  }
+  if (report.staleOverrides.length) {
+    console.log(`⚠️ ${report.staleOverrides.length} stale pricing override(s):`);
+    report.staleOverrides.forEach(o => console.log(`   ${o.cardId}: ${o.reason}`));
+  }
+  console.log(`🔎 Unmatched: ${report.summary.unmatchedCards} card(s) across ${report.unmatchedCardsBySet.length} set(s), ` +
+    `${report.summary.unusedPricingEntries} unused pricing entries → ${path.relative(REPO_ROOT, UNMATCHED)}`);
+
   console.log(`✅ Wrote ${chunkNames.length} chunk(s). cardsWithPricing=${withPricing}`);
-}
+  console.log(`🏷️  Condition prices: ${variantCounts.sourcedConditions} from sources, ${variantCounts.estimatedConditions} estimated; ` +
+    `${variantCounts.grades} graded price(s)`);
 
-try {
-  main();
-} catch (e) {
-  console.error(e);
-  process.exit(1);
+  const warnings = report.staleOverrides.map(o => `stale pricing override ${o.cardId}: ${o.reason}`);
+  if (!pricingRaw) warnings.push('no data/pricing-raw.json; cards were merged without prices');
+  return {
+    inputs: {
+      pricing: pricingRaw ? { source: pricingRaw.source || null, lastUpdated: pricingRaw.lastUpdated || null } : null,
+      languages: Object.keys(languages),
+      partition: CHUNK_MODE,
+      overrides: Object.keys(overrides).length,
+      conditionEstimates: conditionModel.estimate,
+      inventoryLines: inventory.length
+    },
+    counts: {
+      cards: merged.length,
+      cardsWithPricing: withPricing,
+      chunks: chunkNames.length,
+      staleChunksRemoved: stale.length,
+      staleHistoryRemoved: staleHistory.length,
+      staleValuationRemoved: staleValuation ? 1 : 0,
+      unmatchedCards: report.summary.unmatchedCards,
+      nameMatchedCards: report.summary.nameMatchedCards,
+      unusedPricingEntries: report.summary.unusedPricingEntries,
+      sourcedConditionPrices: variantCounts.sourcedConditions,
+      estimatedConditionPrices: variantCounts.estimatedConditions,
+      gradedPrices: variantCounts.grades,
+      ...(valuation ? { inventoryQuantity: valuation.totals.quantity, inventoryUnpricedLines: valuation.unpriced.length } : {})
+    },
+    warnings
+  };
 }
+
+runAsScript(import.meta.url, mergeData);
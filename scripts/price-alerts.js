@@ -0,0 +1,156 @@
+/**
+ * price-alerts.js
+ *
+ * Diffs the current `data/pricing-raw.json` against the previous snapshot in
+ * the price history store and writes:
+ *  - data/price-movers.json  (top gainers/losers by absolute and % change)
+ *  - data/price-movers.md    (Markdown digest of the same)
+ *
+ * Env:
+ *  - MOVERS_MIN_PRICE   ignore entries whose current and previous market are both below this (default 1)
+ *  - MOVERS_MIN_VOLUME  ignore entries with a known volume below this; when > 0,
+ *                       entries without a volume figure are ignored too (default 0)
+ *  - MOVERS_TOP         rows per list (default 10)
+ *  - PRICE_ALERTS=off   skip the step entirely
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { loadHistory, daysBefore } from './lib/price-history.js';
+import { runAsScript } from './lib/pipeline.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+const PRICING   = path.join(DATA_DIR, 'pricing-raw.json');
+const OUT_JSON  = path.join(DATA_DIR, 'price-movers.json');
+const OUT_MD    = path.join(DATA_DIR, 'price-movers.md');
+
+const MIN_PRICE  = Number.parseFloat(process.env.MOVERS_MIN_PRICE || '1');
+const MIN_VOLUME = Number.parseFloat(process.env.MOVERS_MIN_VOLUME || '0');
+const TOP        = Number.parseInt(process.env.MOVERS_TOP || '10', 10);
+
+// --- helpers ---------------------------------------------------------------
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function money(n) {
+  return `$${Number(n).toFixed(2)}`;
+}
+
+function signed(n, suffix = '') {
+  return `${n > 0 ? '+' : ''}${n.toFixed(2)}${suffix}`;
+}
+
+function passesFilters(entry, previous) {
+  if (Math.max(entry.market || 0, previous) < MIN_PRICE) return false;
+  if (MIN_VOLUME > 0) {
+    if (entry.volume === null || entry.volume === undefined) return false;
+    if (entry.volume < MIN_VOLUME) return false;
+  }
+  return true;
+}
+
+function markdownTable(title, rows) {
+  const lines = [`### ${title}`, ''];
+  if (!rows.length) return [...lines, '_None._', ''].join('\n');
+  lines.push('| Card | Set | Printing | Previous | Current | Change | % |');
+  lines.push('|---|---|---|---:|---:|---:|---:|');
+  for (const r of rows) {
+    lines.push(`| ${r.name} | ${r.groupId} | ${r.printing} | ${money(r.previous)} | ${money(r.current)} | ${signed(r.change)} | ${signed(r.changePct, '%')} |`);
+  }
+  return [...lines, ''].join('\n');
+}
+
+// --- main ------------------------------------------------------------------
+/** Stage: writes the price movers report for the current pricing-raw.json. */
+export async function priceAlerts() {
+  if (process.env.PRICE_ALERTS === 'off') {
+    console.log('Price alerts disabled (PRICE_ALERTS=off).');
+    return { status: 'skipped', reason: 'PRICE_ALERTS=off' };
+  }
+  if (!fs.existsSync(PRICING)) {
+    console.log('No data/pricing-raw.json; skipping price alerts.');
+    return { status: 'skipped', reason: 'no data/pricing-raw.json' };
+  }
+
+  const pricingRaw = JSON.parse(fs.readFileSync(PRICING, 'utf8'));
+  const pricing = pricingRaw.pricing || {};
+  const runDate = String(pricingRaw.lastUpdated || new Date().toISOString()).slice(0, 10);
+
+  // The previous snapshot is each key's last history point before this run
+  const history = loadHistory(daysBefore(runDate, 31));
+  const movers = [];
+  let compared = 0;
+
+  for (const [key, entry] of Object.entries(pricing)) {
+    const points = history.get(key) || [];
+    const prior = points.filter(p => p[0] < runDate).pop();
+    if (!prior) continue;
+    compared++;
+
+    const previous = prior[1];
+    const current = round2(entry.market || 0);
+    if (!passesFilters(entry, previous)) continue;
+    if (current === previous) continue;
+
+    movers.push({
+      key,
+      name: entry.name || key,
+      groupId: entry.groupId || '',
+      printing: entry.printing || '',
+      productId: entry.productId ?? null,
+      previousDate: prior[0],
+      previous,
+      current,
+      change: round2(current - previous),
+      changePct: previous ? round2(((current - previous) / previous) * 100) : null,
+      volume: entry.volume ?? null
+    });
+  }
+
+  if (!compared) {
+    console.log('No previous snapshot in data/history/; nothing to compare yet.');
+    return { status: 'skipped', reason: 'no previous snapshot in data/history/', inputs: { runDate } };
+  }
+
+  const withPct = movers.filter(m => m.changePct !== null);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    runDate,
+    filters: { minPrice: MIN_PRICE, minVolume: MIN_VOLUME, top: TOP },
+    compared,
+    changed: movers.length,
+    gainers: {
+      byAmount: movers.filter(m => m.change > 0).sort((a, b) => b.change - a.change).slice(0, TOP),
+      byPercent: withPct.filter(m => m.change > 0).sort((a, b) => b.changePct - a.changePct).slice(0, TOP)
+    },
+    losers: {
+      byAmount: movers.filter(m => m.change < 0).sort((a, b) => a.change - b.change).slice(0, TOP),
+      byPercent: withPct.filter(m => m.change < 0).sort((a, b) => a.changePct - b.changePct).slice(0, TOP)
+    }
+  };
+
+  fs.writeFileSync(OUT_JSON, JSON.stringify(report, null, 2), 'utf8');
+
+  const md = [
+    `## Price movers — ${runDate}`,
+    '',
+    `${movers.length} of ${compared} priced entries changed since the previous snapshot ` +
+      `(min price ${money(MIN_PRICE)}${MIN_VOLUME > 0 ? `, min volume ${MIN_VOLUME}` : ''}).`,
+    '',
+    markdownTable('Top gainers ($)', report.gainers.byAmount),
+    markdownTable('Top gainers (%)', report.gainers.byPercent),
+    markdownTable('Top losers ($)', report.losers.byAmount),
+    markdownTable('Top losers (%)', report.losers.byPercent)
+  ].join('\n');
+  fs.writeFileSync(OUT_MD, md, 'utf8');
+
+  console.log(`📈 Price movers: ${movers.length} changed of ${compared} compared → ${path.relative(REPO_ROOT, OUT_JSON)}, ${path.relative(REPO_ROOT, OUT_MD)}`);
+  return {
+    inputs: { runDate, filters: report.filters },
+    counts: { compared, changed: movers.length }
+  };
+}
+
+runAsScript(import.meta.url, priceAlerts);
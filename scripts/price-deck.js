@@ -0,0 +1,138 @@
+/**
+ * price-deck.js
+ *
+ * Prices a PTCGL/PTCGO deck list export from the merged catalog in `data/`
+ * (see scripts/lib/deck-list.js). Set codes resolve through the sets'
+ * ptcgoCode: the merged cards' set summaries, else the sets fetch-cards.js
+ * stored, else config/set-aliases.json.
+ *
+ * Usage:
+ *  - node scripts/price-deck.js deck.txt                 table, exact printings listed
+ *  - node scripts/price-deck.js deck.txt --cheapest      cheapest reprint of each card
+ *  - node scripts/price-deck.js - --json < deck.txt      JSON report on stdout
+ *  - node scripts/price-deck.js deck.txt --out=deck-price.json   table, plus the JSON report in a file
+ */
+import fs from 'fs';
+import process from 'process';
+import { parseDeckList, createDeckPricer } from './lib/deck-list.js';
+import { DATA_DIR, loadMergedCards } from './lib/catalog.js';
+import { loadSets } from './lib/card-store.js';
+import { loadAliasRegistry, createSetResolver } from './lib/set-aliases.js';
+import { loadSourcesConfig } from './lib/pricing-sources.js';
+import { DEFAULT_LANGUAGE } from './lib/languages.js';
+
+function parseArgs(argv) {
+  const opts = { file: null, mode: 'specific', json: false, out: null };
+  for (const arg of argv) {
+    if (arg === '--cheapest') opts.mode = 'cheapest';
+    else if (arg === '--specific') opts.mode = 'specific';
+    else if (arg === '--json') opts.json = true;
+    else if (arg.startsWith('--out=')) opts.out = arg.slice(6);
+    else if (!opts.file && (arg === '-' || !arg.startsWith('--'))) opts.file = arg;
+    else usage(`Unknown argument ${arg}`);
+  }
+  if (!opts.file) usage();
+  return opts;
+}
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error('Usage: node scripts/price-deck.js <deck.txt|-> [--cheapest] [--json] [--out=report.json]');
+  process.exit(2);
+}
+
+/**
+ * Sets with their ptcgoCode, taken first from the set summaries in the merged
+ * cards, then the card store, then the alias registry's seeded copy, so
+ * deck codes resolve from data/ alone.
+ */
+function knownSets(cards) {
+  const sets = new Map();
+  const add = (id, name, ptcgoCode) => {
+    const key = String(id).toLowerCase();
+    const known = sets.get(key);
+    if (!known) sets.set(key, { id: key, name, ptcgoCode: ptcgoCode || null });
+    else if (!known.ptcgoCode && ptcgoCode) known.ptcgoCode = ptcgoCode;
+  };
+  for (const card of cards) {
+    if (card.set?.id && (card.lang || DEFAULT_LANGUAGE) === DEFAULT_LANGUAGE) add(card.set.id, card.set.name, card.set.ptcgoCode);
+  }
+  for (const set of loadSets()) add(set.id, set.name, set.ptcgoCode);
+  for (const [id, e] of Object.entries(loadAliasRegistry().sets || {})) add(id, e.name, e.ptcgoCode);
+  return [...sets.values()];
+}
+
+const money = (n) => (n === null ? '—' : n.toFixed(2));
+
+function printTable(report) {
+  const rows = report.lines.map(l => [
+    String(l.quantity),
+    l.name,
+    l.setCode ? `${l.setCode} ${l.number}` : '',
+    l.pricedCardId && l.pricedCardId !== l.cardId ? `${l.pricedCardId} ${l.printing}` : (l.printing || ''),
+    money(l.unitPrice),
+    money(l.value)
+  ]);
+  const head = ['Qty', 'Card', 'Set #', report.mode === 'cheapest' ? 'Priced as' : 'Printing', 'Each', 'Total'];
+  const widths = head.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const fmt = (r) => r.map((v, i) => (i === 0 || i >= 4 ? v.padStart(widths[i]) : v.padEnd(widths[i]))).join('  ');
+
+  console.log(`🃏 Deck priced (${report.mode}, ${report.currency})\n`);
+  console.log(fmt(head));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  let section;
+  report.lines.forEach((l, i) => {
+    if (l.section !== section) {
+      section = l.section;
+      const s = report.sections[section];
+      console.log(`${section} (${s.cards}) — ${money(s.value)}`);
+    }
+    console.log(fmt(rows[i]));
+  });
+
+  const { totals } = report;
+  console.log(`\n💰 Total ${money(totals.value)} ${report.currency} for ${totals.pricedCards} of ${totals.cards} card(s) priced`);
+  if (report.unpriced.length) {
+    console.log(`⚠️ ${report.unpriced.length} line(s) without a price:`);
+    report.unpriced.forEach(u => console.log(`   line ${u.line}: ${u.raw} (${u.reason})`));
+  }
+  if (report.unresolved.length) {
+    console.log(`❓ ${report.unresolved.length} line(s) not resolved:`);
+    for (const u of report.unresolved) {
+      console.log(`   line ${u.line}: ${u.raw} (${u.reason})`);
+      u.suggestions.forEach(s => console.log(`      did you mean: ${s}`));
+    }
+  }
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let text;
+  try {
+    text = fs.readFileSync(opts.file === '-' ? 0 : opts.file, 'utf8');
+  } catch (e) {
+    console.error(`❌ Could not read ${opts.file}: ${e.message}`);
+    process.exit(2);
+  }
+  let cards;
+  try {
+    cards = loadMergedCards(DATA_DIR);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(2);
+  }
+
+  const pricer = createDeckPricer({
+    cards,
+    sets: knownSets(cards),
+    resolver: createSetResolver(),
+    currency: loadSourcesConfig().baseCurrency
+  });
+  const report = pricer.price(parseDeckList(text), { mode: opts.mode });
+
+  if (opts.out) fs.writeFileSync(opts.out, JSON.stringify(report, null, 2), 'utf8');
+  if (opts.json) console.log(JSON.stringify(report, null, 2));
+  else printTable(report);
+}
+
+main();
@@ -0,0 +1,91 @@
+/**
+ * price-rules.js
+ *
+ * Computes store sell and buy prices for every priced card printing from
+ * the rules in `config/price-rules.json` (see scripts/lib/price-rules.js)
+ * and writes `data/store-prices.json`. Each run prints what changed since
+ * the last written file and why: the starting price moved, or a rule
+ * started, stopped applying or was edited.
+ *
+ * Usage:
+ *  - node scripts/price-rules.js              write data/store-prices.json (npm run sync does this)
+ *  - node scripts/price-rules.js --dry-run    only show the diff
+ *  - node scripts/price-rules.js --dry-run --all|--json   every change / the diff as JSON
+ *
+ * Env: PRICE_RULES_FILE
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import {
+  RULES_FILE, STORE_PRICES_FILE, loadPriceRules, computeStorePrices, diffStorePrices
+} from './lib/price-rules.js';
+import { loadMergedCards } from './lib/catalog.js';
+import { loadSourcesConfig } from './lib/pricing-sources.js';
+import { assertValid } from './lib/validate.js';
+import { StageError, runAsScript } from './lib/pipeline.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+const OUT_FILE  = path.join(DATA_DIR, STORE_PRICES_FILE);
+const SHOWN_CHANGES = 20;
+
+function parseArgs(argv) {
+  const opts = { dryRun: false, all: false, json: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--all') opts.all = true;
+    else if (arg === '--json') opts.json = true;
+    else throw new StageError(`Unknown argument ${arg}`, 2);
+  }
+  return opts;
+}
+
+const price = (n) => (n === null ? '—' : n.toFixed(2));
+
+function printChanges(changes, all) {
+  const shown = all ? changes : changes.slice(0, SHOWN_CHANGES);
+  for (const c of shown) {
+    console.log(`   ${c.cardId}\t${c.printing}\t${c.side}\t${price(c.from)} → ${price(c.to)}\t${c.reasons.join('; ') || 'unchanged inputs'}`);
+  }
+  if (shown.length < changes.length) console.log(`   … ${changes.length - shown.length} more (--all to list every change)`);
+}
+
+/** Stage: writes data/store-prices.json, or with `dryRun` only reports the diff. */
+export async function priceRules({ dryRun = false, all = false, json = false } = {}) {
+  const rules = loadPriceRules();
+  const cards = loadMergedCards(DATA_DIR);
+  const report = computeStorePrices(cards, rules, { currency: loadSourcesConfig().baseCurrency });
+  assertValid('store-prices', report, STORE_PRICES_FILE);
+
+  const previous = fs.existsSync(OUT_FILE) ? JSON.parse(fs.readFileSync(OUT_FILE, 'utf8')) : null;
+  const changes = diffStorePrices(previous, report);
+  const warnings = [];
+  if (!fs.existsSync(RULES_FILE)) warnings.push(`no ${path.relative(REPO_ROOT, RULES_FILE)}; store prices equal the merged price`);
+
+  if (json) console.log(JSON.stringify(changes, null, 2));
+  else {
+    const sides = (side) => changes.filter(c => c.side === side).length;
+    console.log(`🏷️  ${changes.length} store price change(s) since ${previous ? previous.generatedAt : 'the first run'} ` +
+      `(${sides('sell')} sell, ${sides('buy')} buy)`);
+    if (previous) printChanges(changes, all);
+  }
+  warnings.forEach(w => console.log(`⚠️ ${w}`));
+
+  if (!dryRun) {
+    fs.writeFileSync(OUT_FILE, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`✅ Priced ${report.totals.printings} printing(s) of ${report.totals.cards} card(s) → ${path.relative(REPO_ROOT, OUT_FILE)}`);
+  }
+  return {
+    inputs: { rules: path.relative(REPO_ROOT, RULES_FILE), sellRules: rules.sell.length, buyRules: rules.buy.length, dryRun },
+    counts: {
+      cards: report.totals.cards,
+      printings: report.totals.printings,
+      sellChanges: changes.filter(c => c.side === 'sell').length,
+      buyChanges: changes.filter(c => c.side === 'buy').length
+    },
+    warnings
+  };
+}
+
+runAsScript(import.meta.url, () => priceRules(parseArgs(process.argv.slice(2))));
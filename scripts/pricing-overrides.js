@@ -0,0 +1,141 @@
+/**
+ * pricing-overrides.js
+ *
+ * Maintains manual pricing matches in `config/pricing-overrides.json`
+ * (see scripts/lib/pricing-overrides.js) without hand-editing JSON.
+ *
+ * Usage:
+ *  - node scripts/pricing-overrides.js list
+ *  - node scripts/pricing-overrides.js suggest [setId]       unmatched cards from data/pricing-unmatched.json
+ *                                                             with numbered candidate keys
+ *  - node scripts/pricing-overrides.js from-report <cardId> [n]   pin candidate n (default 1) from `suggest`
+ *  - node scripts/pricing-overrides.js pin <cardId> <productId> [printing] [note...]
+ *  - node scripts/pricing-overrides.js unpriceable <cardId> [note...]
+ *  - node scripts/pricing-overrides.js remove <cardId>
+ *
+ * Run `npm run merge-data` afterwards to apply.
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { OVERRIDES_FILE, loadOverrides, saveOverrides } from './lib/pricing-overrides.js';
+import { normalizePrinting } from './lib/printings.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+const UNMATCHED = path.join(DATA_DIR, 'pricing-unmatched.json');
+const PRICING   = path.join(DATA_DIR, 'pricing-raw.json');
+
+function readJson(p, hint) {
+  if (!fs.existsSync(p)) {
+    console.error(`❌ ${path.relative(REPO_ROOT, p)} not found. ${hint}`);
+    process.exit(2);
+  }
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function unmatchedCards() {
+  const report = readJson(UNMATCHED, 'Run: npm run merge-data');
+  return report.unmatchedCardsBySet.flatMap(s => s.cards.map(c => ({ ...c, setId: s.setId })));
+}
+
+/** Candidate pricing keys for an unmatched card: name near-miss first, then closest keys. */
+function candidateKeys(card) {
+  return [...new Set([...(card.nameMatch?.keys || []), ...(card.closest || [])])];
+}
+
+function describeKey(key, pricing) {
+  const e = pricing[key];
+  if (!e) return `${key} (no longer in pricing-raw.json)`;
+  return `${key}  productId=${e.productId ?? '-'}  "${e.name || ''}"  $${e.market}`;
+}
+
+function list() {
+  const { overrides } = loadOverrides();
+  const entries = Object.entries(overrides);
+  console.log(`📋 ${entries.length} override(s) in ${path.relative(REPO_ROOT, OVERRIDES_FILE)}`);
+  for (const [cardId, o] of entries) {
+    const what = o.unpriceable ? 'unpriceable' : `productId ${o.productId}${o.printing ? ` (${o.printing})` : ''}`;
+    console.log(`   ${cardId}\t${what}${o.note ? `\t# ${o.note}` : ''}`);
+  }
+}
+
+function suggest(setId) {
+  const pricing = readJson(PRICING, 'Run: npm run fetch-pricing').pricing || {};
+  const cards = unmatchedCards().filter(c => !setId || c.setId === setId);
+  const withCandidates = cards.filter(c => candidateKeys(c).length);
+  for (const card of withCandidates) {
+    console.log(`${card.id}\t${card.name} #${card.number}\t${card.hint}`);
+    candidateKeys(card).forEach((key, i) => console.log(`   [${i + 1}] ${describeKey(key, pricing)}`));
+  }
+  console.log(`📋 ${withCandidates.length} of ${cards.length} unmatched card(s) have candidates. ` +
+    'Pin one with: from-report <cardId> [n]');
+}
+
+function pin(cardId, productId, printing, note) {
+  if (!cardId || !productId) usage();
+  const data = loadOverrides();
+  data.overrides[cardId] = {
+    productId: String(productId),
+    ...(printing ? { printing: normalizePrinting(printing) } : {}),
+    ...(note ? { note } : {})
+  };
+  saveOverrides(data);
+  console.log(`✅ ${cardId} → productId ${productId}${printing ? ` (${normalizePrinting(printing)})` : ''}`);
+}
+
+function fromReport(cardId, n = '1') {
+  if (!cardId) usage();
+  const card = unmatchedCards().find(c => c.id === cardId);
+  if (!card) {
+    console.error(`❌ ${cardId} is not in the unmatched report`);
+    process.exit(1);
+  }
+  const key = candidateKeys(card)[Number.parseInt(n, 10) - 1];
+  const entry = key && readJson(PRICING, 'Run: npm run fetch-pricing').pricing?.[key];
+  if (!entry) {
+    console.error(`❌ No candidate [${n}] with a pricing entry for ${cardId} (see: suggest ${card.setId})`);
+    process.exit(1);
+  }
+  if (entry.productId === undefined || entry.productId === null || entry.productId === '') {
+    console.error(`❌ ${key} has no productId to pin`);
+    process.exit(1);
+  }
+  pin(cardId, entry.productId, entry.printing, `from report: ${entry.name || key}`);
+}
+
+function unpriceable(cardId, note) {
+  if (!cardId) usage();
+  const data = loadOverrides();
+  data.overrides[cardId] = { unpriceable: true, ...(note ? { note } : {}) };
+  saveOverrides(data);
+  console.log(`✅ ${cardId} marked unpriceable`);
+}
+
+function remove(cardId) {
+  const data = loadOverrides();
+  if (!data.overrides[cardId]) {
+    console.error(`❌ No override for ${cardId}`);
+    process.exit(1);
+  }
+  delete data.overrides[cardId];
+  saveOverrides(data);
+  console.log(`🗑️  Removed override for ${cardId}`);
+}
+
+function usage() {
+  console.error('Usage: node scripts/pricing-overrides.js <list|suggest [setId]|from-report <cardId> [n]|' +
+    'pin <cardId> <productId> [printing] [note]|unpriceable <cardId> [note]|remove <cardId>>');
+  process.exit(2);
+}
+
+const [command, ...args] = process.argv.slice(2);
+switch (command) {
+  case 'list':        list(); break;
+  case 'suggest':     suggest(args[0]); break;
+  case 'from-report': fromReport(args[0], args[1]); break;
+  case 'pin':         pin(args[0], args[1], args[2], args.slice(3).join(' ')); break;
+  case 'unpriceable': unpriceable(args[0], args.slice(1).join(' ')); break;
+  case 'remove':      remove(args[0]); break;
+  default:            usage();
+}
@@ -0,0 +1,82 @@
+/**
+ * quality-gate.js
+ *
+ * Fails the run when this run's catalog in `data/` regressed against the
+ * last committed one (git `baselineRef`, default HEAD): too many cards
+ * lost, pricing coverage dropped, a set disappeared or a chunk file shrank
+ * drastically. Thresholds: config/quality-gates.json (see
+ * scripts/lib/quality-gates.js). Without a committed baseline only the
+ * coverage floor applies.
+ *
+ * Usage: node scripts/quality-gate.js    (env QUALITY_GATES_FILE, GATE_BASELINE_REF)
+ * Exits 1 when a gate fails. `npm run sync` runs it before upload.
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { execFileSync } from 'child_process';
+import { GATES_FILE, loadGates, snapshotFromIndex, evaluateGates } from './lib/quality-gates.js';
+import { CHUNK_FILE_PATTERN } from './lib/catalog.js';
+import { StageError, runAsScript } from './lib/pipeline.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+const INDEX     = 'tcg-cards-index.json';
+
+function git(args) {
+  return execFileSync('git', args, { cwd: REPO_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+}
+
+/** Snapshot of data/ at `ref`, or null when the ref has no committed index. */
+function committedSnapshot(ref) {
+  let index;
+  try {
+    index = JSON.parse(git(['show', `${ref}:./data/${INDEX}`]));
+  } catch {
+    return null;
+  }
+  const files = {};
+  for (const line of git(['ls-tree', '-l', ref, 'data/']).split('\n')) {
+    const m = line.match(/^\S+ blob \S+\s+(\d+)\t(?:.*\/)?([^/]+)$/);
+    if (m && CHUNK_FILE_PATTERN.test(m[2])) files[m[2]] = Number(m[1]);
+  }
+  return snapshotFromIndex(index, files);
+}
+
+function currentSnapshot() {
+  const file = path.join(DATA_DIR, INDEX);
+  if (!fs.existsSync(file)) throw new StageError(`data/${INDEX} not found. Run: npm run merge-data`, 2);
+  const files = {};
+  for (const name of fs.readdirSync(DATA_DIR).filter(f => CHUNK_FILE_PATTERN.test(f))) {
+    files[name] = fs.statSync(path.join(DATA_DIR, name)).size;
+  }
+  return snapshotFromIndex(JSON.parse(fs.readFileSync(file, 'utf8')), files);
+}
+
+/** Stage: evaluates the gates; throws a StageError listing every failed one. */
+export async function qualityGate() {
+  const gates = loadGates();
+  const ref = process.env.GATE_BASELINE_REF || gates.baselineRef;
+  const current = currentSnapshot();
+  const baseline = committedSnapshot(ref);
+  const warnings = baseline ? [] : [`no committed data/${INDEX} at ${ref}; only the coverage floor was checked`];
+
+  const { passed, checks } = evaluateGates(baseline, current, gates);
+  console.log(`🚦 Quality gates against ${baseline ? ref : 'no baseline'} (${path.relative(REPO_ROOT, GATES_FILE)}):`);
+  for (const c of checks) console.log(`   ${c.passed ? '✅' : '❌'} ${c.name}: ${c.detail}`);
+
+  const result = {
+    inputs: { baselineRef: baseline ? ref : null, gates },
+    counts: { checks: checks.length, failed: checks.filter(c => !c.passed).length },
+    details: { checks },
+    warnings
+  };
+  if (!passed) {
+    const failed = checks.filter(c => !c.passed);
+    throw new StageError(`Quality gate failed (${failed.map(c => c.name).join(', ')}): ${failed.map(c => c.detail).join('; ')}`, 1, result);
+  }
+  console.log('✅ Quality gates passed.');
+  return result;
+}
+
+runAsScript(import.meta.url, qualityGate);
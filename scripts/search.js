@@ -0,0 +1,76 @@
+/**
+ * search.js
+ *
+ * Queries the merged catalog through `data/tcg-search-index.json`, loading
+ * only the chunks that hold the hits (same module the storefront uses).
+ * Data merged before the search index existed gets one built from the
+ * chunks in memory.
+ *
+ * Usage:
+ *  - node scripts/search.js "Psychic Rare Holo under $20 in Base series"
+ *  - node scripts/search.js "charizard" --sort=-price --limit=5
+ *  - node scripts/search.js "pikachu" --json        full card objects
+ *  - node scripts/search.js "pikachu" --lang=ja     one card language only
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { DATA_DIR, chunkFiles, loadChunk, jsonLoader } from './lib/catalog.js';
+import { INDEX_FILE, buildSearchIndex, createCardSearch, loadCardSearch } from './lib/card-search.js';
+
+function parseArgs(argv) {
+  const opts = { text: [], limit: 20, sort: null, lang: null, json: false };
+  for (const arg of argv) {
+    if (arg === '--json') opts.json = true;
+    else if (arg.startsWith('--limit=')) opts.limit = Number.parseInt(arg.slice(8), 10);
+    else if (arg.startsWith('--sort=')) opts.sort = arg.slice(7);
+    else if (arg.startsWith('--lang=')) opts.lang = arg.slice(7);
+    else opts.text.push(arg);
+  }
+  return opts;
+}
+
+async function loadSearch() {
+  const loadJson = jsonLoader(DATA_DIR);
+  if (fs.existsSync(path.join(DATA_DIR, INDEX_FILE))) return loadCardSearch(loadJson);
+  const chunks = chunkFiles(DATA_DIR).map(name => ({ name, cards: loadChunk(name, DATA_DIR) }));
+  if (!chunks.length) throw new Error(`no ${INDEX_FILE} and no merged card chunks in ${DATA_DIR}`);
+  return createCardSearch(buildSearchIndex(chunks), loadJson);
+}
+
+function formatPrice(market) {
+  return market === null ? '—' : `$${market.toFixed(2)}`;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let search;
+  try {
+    search = await loadSearch();
+  } catch (e) {
+    console.error(`❌ Could not load the search index (${e.message}). Run: npm run merge-data`);
+    process.exit(2);
+  }
+
+  const filters = search.parse(opts.text.join(' '));
+  if (opts.sort) filters.sort = opts.sort;
+  if (opts.lang) filters.lang = opts.lang;
+  filters.limit = opts.limit;
+  const { total, hits } = search.query(filters);
+
+  if (opts.json) {
+    console.log(JSON.stringify(await search.fetchCards(hits), null, 2));
+    return;
+  }
+
+  console.log(`🔎 ${JSON.stringify(filters)}`);
+  for (const h of hits) {
+    console.log(`  ${h.id.padEnd(14)} ${h.name} · ${h.setName} #${h.number} · ${h.rarity || '—'} · ${formatPrice(h.market)}`);
+  }
+  console.log(`📊 ${total} match(es)${total > hits.length ? `, showing ${hits.length}` : ''}.`);
+}
+
+main().catch(err => {
+  console.error('❌ Search failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,227 @@
+/**
+ * serve.js
+ *
+ * Read-only REST API over the merged catalog in `data/` (chunks listed in
+ * tcg-cards-index.json plus pricing-raw.json), using only Node built-ins.
+ * The catalog is reloaded when a merge rewrites tcg-cards-index.json.
+ *
+ * Endpoints (all GET, JSON):
+ *  - /sets?lang=                 sets with card and priced counts
+ *  - /sets/:id/cards             cards of one set (paginated)
+ *  - /cards/:id                  one card
+ *  - /cards?name=&type=&rarity=&set=&series=&lang=&supertype=&minPrice=&maxPrice=&sort=
+ *                                filtered cards (paginated; sort: name, number,
+ *                                price, -price, release)
+ *  - /stats                      same fields as run-report.json's summary, plus
+ *                                pricing source
+ *
+ * Pagination: ?page=1&pageSize=50 (max 500); responses carry
+ * { page, pageSize, total, cards }.
+ *
+ * Usage: node scripts/serve.js [--port=8787]   (env PORT, HOST, DATA_DIR)
+ */
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { chunkFiles, loadIndex, loadChunk } from './lib/catalog.js';
+import { buildSearchIndex, createCardSearch } from './lib/card-search.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.resolve(process.env.DATA_DIR || path.join(REPO_ROOT, 'data'));
+const HOST = process.env.HOST || '127.0.0.1';
+const PORT = Number.parseInt(
+  process.argv.find(a => a.startsWith('--port='))?.slice(7) || process.env.PORT || '8787', 10);
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const RELOAD_DEBOUNCE_MS = 500;
+const RELOAD_TRIGGERS = new Set(['tcg-cards-index.json', 'pricing-raw.json']);
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// --- catalog ---------------------------------------------------------------
+function readJson(p) {
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : null;
+}
+
+function loadCatalog() {
+  const index = loadIndex(DATA_DIR);
+  const files = chunkFiles(DATA_DIR, index);
+  if (!files.length) throw new Error(`No merged card chunks in ${DATA_DIR}. Run: npm run merge-data`);
+
+  const chunks = files.map(name => ({ name, cards: loadChunk(name, DATA_DIR) }));
+  const cards = chunks.flatMap(c => c.cards);
+  const byId = new Map(cards.map(c => [c.id, c]));
+
+  const sets = new Map();
+  for (const card of cards) {
+    const id = card.set?.id;
+    if (!sets.has(id)) {
+      sets.set(id, { id, name: card.set?.name || null, series: card.set?.series || null,
+        releaseDate: card.set?.releaseDate || null, lang: card.lang || 'en', cards: 0, priced: 0 });
+    }
+    const s = sets.get(id);
+    s.cards++;
+    if (card.prices) s.priced++;
+  }
+
+  const search = createCardSearch(buildSearchIndex(chunks), async () => ({ cards: [] }));
+  const pricing = readJson(path.join(DATA_DIR, 'pricing-raw.json'));
+  return { index, files, cards, byId, sets, search, pricing, loadedAt: new Date().toISOString() };
+}
+
+function stats(catalog) {
+  const { index, cards, sets, files, pricing } = catalog;
+  const withPricing = cards.filter(c => c.prices).length;
+  return {
+    totalCards: cards.length,
+    totalSets: sets.size,
+    totalChunks: files.length,
+    cardsWithPricing: withPricing,
+    pricingCoverage: `${cards.length ? (withPricing / cards.length * 100).toFixed(1) : '0.0'}%`,
+    pricingStats: index?.pricingStats || null,
+    lastUpdated: index?.generatedAt || null,
+    pricingSource: pricing ? {
+      source: pricing.source || null,
+      lastUpdated: pricing.lastUpdated || null,
+      entries: pricing.pricing && typeof pricing.pricing === 'object' ? Object.keys(pricing.pricing).length : 0
+    } : null,
+    loadedAt: catalog.loadedAt
+  };
+}
+
+// --- request handling ------------------------------------------------------
+function pagination(params) {
+  const page = Math.max(1, Number.parseInt(params.get('page') || '1', 10) || 1);
+  const requested = Number.parseInt(params.get('pageSize') || String(DEFAULT_PAGE_SIZE), 10) || DEFAULT_PAGE_SIZE;
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, requested));
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+function numberParam(params, name) {
+  if (!params.has(name)) return undefined;
+  const n = Number.parseFloat(params.get(name));
+  if (!Number.isFinite(n)) throw new HttpError(400, `${name} must be a number`);
+  return n;
+}
+
+function queryCards(catalog, params, fixed = {}) {
+  const { page, pageSize, offset } = pagination(params);
+  const filters = {
+    text: params.get('name') || undefined,
+    types: params.getAll('type'),
+    rarity: params.get('rarity') || undefined,
+    supertype: params.get('supertype') || undefined,
+    series: params.get('series') || undefined,
+    lang: params.get('lang') || undefined,
+    setId: params.get('set') || undefined,
+    minPrice: numberParam(params, 'minPrice'),
+    maxPrice: numberParam(params, 'maxPrice'),
+    sort: params.get('sort') || undefined,
+    ...fixed,
+    offset,
+    limit: pageSize
+  };
+  const { total, hits } = catalog.search.query(filters);
+  return { page, pageSize, total, cards: hits.map(h => catalog.byId.get(h.id)) };
+}
+
+function pathParts(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+function route(catalog, url) {
+  const parts = pathParts(url.pathname);
+  const params = url.searchParams;
+
+  if (parts.length === 1 && parts[0] === 'stats') return stats(catalog);
+  if (parts.length === 1 && parts[0] === 'sets') {
+    const lang = params.get('lang');
+    return { sets: [...catalog.sets.values()].filter(s => !lang || s.lang === lang) };
+  }
+  if (parts.length === 3 && parts[0] === 'sets' && parts[2] === 'cards') {
+    if (!catalog.sets.has(parts[1])) throw new HttpError(404, `Unknown set ${parts[1]}`);
+    return queryCards(catalog, params, { setId: parts[1], sort: params.get('sort') || 'number' });
+  }
+  if (parts.length === 1 && parts[0] === 'cards') return queryCards(catalog, params);
+  if (parts.length === 2 && parts[0] === 'cards') {
+    const card = catalog.byId.get(parts[1]);
+    if (!card) throw new HttpError(404, `Unknown card ${parts[1]}`);
+    return card;
+  }
+  throw new HttpError(404, `No route for ${url.pathname}`);
+}
+
+function send(res, status, body) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(text)
+  });
+  res.end(text);
+}
+
+// --- server ----------------------------------------------------------------
+/**
+ * Starts the API and resolves to the listening server once the catalog is
+ * loaded. Pass port 0 for an ephemeral port (see server.address()).
+ */
+export async function startServer({ port = PORT, host = HOST, watch = true } = {}) {
+  let catalog = loadCatalog();
+  console.log(`📚 Loaded ${catalog.cards.length} cards in ${catalog.sets.size} set(s) from ${catalog.files.length} chunk(s)`);
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET') return send(res, 405, { error: 'Only GET is supported' });
+    try {
+      send(res, 200, route(catalog, new URL(req.url, `http://${req.headers.host || 'localhost'}`)));
+    } catch (e) {
+      send(res, e.status || 500, { error: e.message });
+    }
+  });
+
+  let watcher = null;
+  if (watch) {
+    let timer = null;
+    watcher = fs.watch(DATA_DIR, (event, filename) => {
+      if (!RELOAD_TRIGGERS.has(filename)) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        try {
+          catalog = loadCatalog();
+          console.log(`🔄 Reloaded catalog: ${catalog.cards.length} cards (${filename} changed)`);
+        } catch (e) {
+          console.log(`⚠️ Reload failed, still serving the previous catalog: ${e.message}`);
+        }
+      }, RELOAD_DEBOUNCE_MS);
+    });
+    server.on('close', () => { clearTimeout(timer); watcher.close(); });
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+const isMain = process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isMain) {
+  startServer().then(server => {
+    const { address, port } = server.address();
+    console.log(`🚀 Catalog API listening on http://${address}:${port}`);
+  }).catch(err => {
+    console.error('❌ Server failed to start:', err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * set-aliases.js
+ *
+ * Maintains the set alias registry in `config/set-aliases.json`.
+ *
+ * Usage:
+ *  - node scripts/set-aliases.js seed [sets/en.json]   merge sets into the registry
+ *                                                       (defaults to the card store's
+ *                                                       CARD_LANGUAGES sets)
+ *  - node scripts/set-aliases.js uncovered              sets with no pricing-side alias
+ *  - node scripts/set-aliases.js resolve "Base Set"     show what a spelling maps to
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { loadSets } from './lib/card-store.js';
+import { configuredLanguages } from './lib/languages.js';
+import {
+  ALIASES_FILE,
+  loadAliasRegistry,
+  saveAliasRegistry,
+  seedAliasRegistry,
+  createSetResolver,
+  hasPricingCoverage
+} from './lib/set-aliases.js';
+
+/** Sets of every configured card language in the card store. */
+function storeSets() {
+  return configuredLanguages().flatMap(l => loadSets(l.code));
+}
+
+function seed(file) {
+  let sets;
+  if (file) {
+    const j = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    sets = j.data || j;
+  } else {
+    sets = storeSets();
+  }
+  if (!sets.length) {
+    console.error('❌ No sets to seed from. Pass a sets/en.json path or run: npm run fetch-cards');
+    process.exit(2);
+  }
+
+  const registry = loadAliasRegistry();
+  const changed = seedAliasRegistry(registry, sets);
+  saveAliasRegistry(registry);
+  console.log(`✅ Seeded ${sets.length} sets into ${ALIASES_FILE} (${changed} entries added or refreshed).`);
+}
+
+function uncovered() {
+  const registry = loadAliasRegistry();
+  const resolver = createSetResolver(registry);
+  const sets = storeSets();
+
+  const missing = sets.filter(s => !registry.sets[String(s.id).toLowerCase()]);
+  const noPricing = Object.entries(registry.sets).filter(([, e]) => !hasPricingCoverage(e));
+
+  if (missing.length) {
+    console.log(`⚠️  ${missing.length} set(s) from the card store are not in the registry (run: seed):`);
+    missing.forEach(s => console.log(`   ${s.id}\t${s.name}`));
+  }
+
+  console.log(`📋 ${noPricing.length} of ${Object.keys(registry.sets).length} set(s) have no TCGCSV group id or group name:`);
+  noPricing.forEach(([id, e]) => console.log(`   ${id}\t${e.name || ''}\t${e.ptcgoCode || '-'}`));
+
+  if (resolver.conflicts.length) {
+    console.log(`\n⚠️  ${resolver.conflicts.length} spelling(s) claimed by more than one set:`);
+    resolver.conflicts.forEach(c => console.log(`   "${c.spelling}" → kept ${c.kept}, ignored ${c.ignored}`));
+  }
+}
+
+function resolve(value) {
+  const resolver = createSetResolver();
+  const id = resolver.resolve(value);
+  if (!id) {
+    console.log(`"${value}" → (no match)`);
+    process.exit(1);
+  }
+  console.log(`"${value}" → ${id}`);
+  console.log(`   keys: ${resolver.keysFor(id).join(', ')}`);
+}
+
+const [command, arg] = process.argv.slice(2);
+switch (command) {
+  case 'seed':      seed(arg); break;
+  case 'uncovered': uncovered(); break;
+  case 'resolve':   resolve(arg ?? ''); break;
+  default:
+    console.error('Usage: node scripts/set-aliases.js <seed [sets.json]|uncovered|resolve <name>>');
+    process.exit(2);
+}
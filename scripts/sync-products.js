@@ -0,0 +1,296 @@
+/**
+ * sync-products.js
+ *
+ * Syncs merged cards to Shopify as real products through the GraphQL Admin
+ * API: one product per card (title, set, number, rarity, types, image) with
+ * one variant per priced printing. Variant prices are the `sellPrice` from
+ * data/store-prices.json (scripts/price-rules.js) when it has the printing,
+ * else the printing's market price through the markup rule in
+ * `config/product-sync.json`.
+ *
+ * Products are matched idempotently by the `tcg.card_id` metafield; a
+ * `tcg.sync_hash` metafield lets unchanged products be skipped. Synced
+ * products whose card is gone or no longer priced are archived.
+ *
+ * Usage:
+ *  - node scripts/sync-products.js --dry-run   print planned creates/updates/archives
+ *  - node scripts/sync-products.js             apply them
+ *
+ * Env: SHOPIFY_STORE, SHOPIFY_ACCESS_TOKEN, SHOPIFY_API_BASE (local stand-in),
+ *      SYNC_SETS=base1,base2 (overrides config `sets`), DRY_RUN=1
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import process from 'process';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, loadMergedCards } from './lib/catalog.js';
+import { STORE_PRICES_FILE } from './lib/price-rules.js';
+import { printingLabel } from './lib/printings.js';
+import { hasCredentials, shopifyGraphQL } from './lib/shopify.js';
+
+const CONFIG_FILE = process.env.PRODUCT_SYNC_CONFIG ||
+  path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'product-sync.json');
+const DRY_RUN = process.argv.includes('--dry-run') || process.env.DRY_RUN === '1';
+
+const METAFIELD_NS = 'tcg';
+
+const PRODUCTS_QUERY = `
+  query SyncedProducts($cursor: String, $query: String) {
+    products(first: 100, after: $cursor, query: $query) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        id
+        title
+        status
+        cardId: metafield(namespace: "${METAFIELD_NS}", key: "card_id") { value }
+        syncHash: metafield(namespace: "${METAFIELD_NS}", key: "sync_hash") { value }
+        variants(first: 20) { nodes { id selectedOptions { name value } } }
+      }
+    }
+  }`;
+
+const CREATE_MUTATION = `
+  mutation CreateProduct($input: ProductInput!, $media: [CreateMediaInput!]) {
+    productCreate(input: $input, media: $media) {
+      product { id }
+      userErrors { field message }
+    }
+  }`;
+
+const UPDATE_MUTATION = `
+  mutation UpdateProduct($input: ProductInput!) {
+    productUpdate(input: $input) {
+      product { id }
+      userErrors { field message }
+    }
+  }`;
+
+// --- pricing ---------------------------------------------------------------
+/**
+ * Applies the markup rule: market × multiplier + add, floored at minPrice,
+ * then rounded up to the next `.roundUpTo` ending (e.g. 0.99).
+ */
+function applyMarkup(market, rule = {}) {
+  const { multiplier = 1, add = 0, minPrice = 0, roundUpTo = null } = rule;
+  let price = Math.max(minPrice, market * multiplier + add);
+  if (roundUpTo !== null && roundUpTo !== undefined) {
+    price = Math.ceil(price - roundUpTo - 1e-9) + roundUpTo;
+  }
+  return price.toFixed(2);
+}
+
+/** cardId → printing → store price entry from the last price-rules run, or {}. */
+function loadStorePrices() {
+  const file = path.join(DATA_DIR, STORE_PRICES_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).prices : {};
+}
+
+function basePrice(p) {
+  return [p?.market, p?.mid, p?.low].find(v => Number.isFinite(v) && v > 0) ?? null;
+}
+
+// --- product shaping -------------------------------------------------------
+function productTitle(card) {
+  return `${card.name} - ${card.set?.name || card.set?.id} ${card.number}`;
+}
+
+function productTags(card, syncTag) {
+  const tags = [
+    syncTag,
+    `set:${card.set?.id}`,
+    card.set?.series && `series:${card.set.series}`,
+    card.rarity && `rarity:${card.rarity}`,
+    card.supertype && `supertype:${card.supertype}`,
+    ...(card.types || []).map(t => `type:${t}`)
+  ];
+  return tags.filter(Boolean);
+}
+
+function description(card) {
+  const rows = [
+    ['Set', card.set?.name],
+    ['Series', card.set?.series],
+    ['Number', card.number],
+    ['Rarity', card.rarity],
+    ['Types', (card.types || []).join(', ')]
+  ].filter(([, v]) => v);
+  return `<ul>${rows.map(([k, v]) => `<li><strong>${k}:</strong> ${v}</li>`).join('')}</ul>`;
+}
+
+/** Desired product state for a card, or null when no printing is priced. */
+function desiredProduct(card, config, storePrices = {}) {
+  const prices = card.prices || (card.pricing ? { [card.pricing.printing || 'normal']: card.pricing } : {});
+  const variants = Object.entries(prices)
+    .map(([printing, p]) => ({ printing, base: basePrice(p) }))
+    .filter(v => v.base !== null)
+    .map(v => ({
+      option: printingLabel(v.printing),
+      price: storePrices[card.id]?.[v.printing]?.sellPrice.toFixed(2) ?? applyMarkup(v.base, config.markup),
+      sku: `${card.id}-${v.printing}`
+    }));
+  if (!variants.length) return null;
+
+  const product = {
+    title: productTitle(card),
+    descriptionHtml: description(card),
+    vendor: config.vendor,
+    productType: card.supertype || 'Card',
+    tags: productTags(card, config.syncTag),
+    status: config.status,
+    options: ['Printing'],
+    variants
+  };
+  const image = card.images?.large || card.images?.small || null;
+  const hash = crypto.createHash('sha1').update(JSON.stringify({ product, image })).digest('hex');
+  return { cardId: card.id, product, image, hash };
+}
+
+// --- remote state ----------------------------------------------------------
+async function fetchSyncedProducts(syncTag) {
+  const byCardId = new Map();
+  let cursor = null;
+  do {
+    const data = await shopifyGraphQL(PRODUCTS_QUERY, { cursor, query: `tag:'${syncTag}'` });
+    const page = data.products;
+    for (const node of page.nodes) {
+      if (node.cardId?.value) byCardId.set(node.cardId.value, node);
+    }
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor);
+  return byCardId;
+}
+
+function metafields(desired) {
+  return [
+    { namespace: METAFIELD_NS, key: 'card_id', type: 'single_line_text_field', value: desired.cardId },
+    { namespace: METAFIELD_NS, key: 'sync_hash', type: 'single_line_text_field', value: desired.hash }
+  ];
+}
+
+function variantInputs(desired, existing) {
+  const idsByOption = new Map((existing?.variants?.nodes || [])
+    .map(v => [v.selectedOptions?.[0]?.value, v.id]));
+  return desired.product.variants.map(v => ({
+    ...(idsByOption.has(v.option) ? { id: idsByOption.get(v.option) } : {}),
+    options: [v.option],
+    price: v.price,
+    sku: v.sku
+  }));
+}
+
+function assertNoUserErrors(result, what) {
+  const errors = result?.userErrors || [];
+  if (errors.length) {
+    throw new Error(`${what}: ${errors.map(e => `${(e.field || []).join('.')} ${e.message}`.trim()).join('; ')}`);
+  }
+}
+
+// --- main ------------------------------------------------------------------
+function loadConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  if (process.env.SYNC_SETS) config.sets = process.env.SYNC_SETS.split(',').map(s => s.trim()).filter(Boolean);
+  return config;
+}
+
+function describeVariants(desired) {
+  return desired.product.variants.map(v => `${v.option} $${v.price}`).join(', ');
+}
+
+async function main() {
+  const config = loadConfig();
+  const sets = new Set(config.sets || []);
+  const cards = loadMergedCards().filter(c => !sets.size || sets.has(c.set?.id));
+  const storePrices = loadStorePrices();
+
+  if (!DRY_RUN && !hasCredentials()) {
+    console.log('⚠️ Missing Shopify credentials; set SHOPIFY_STORE and SHOPIFY_ACCESS_TOKEN (or use --dry-run).');
+    return;
+  }
+
+  const existing = hasCredentials() ? await fetchSyncedProducts(config.syncTag) : new Map();
+  if (!hasCredentials()) console.log('ℹ️  No credentials: dry run assumes the store has no synced products.');
+
+  const creates = [];
+  const updates = [];
+  const archives = [];
+  let unchanged = 0;
+  let unpriced = 0;
+  const wanted = new Set();
+
+  for (const card of cards) {
+    const desired = desiredProduct(card, config, storePrices);
+    if (!desired) { unpriced++; continue; }
+    wanted.add(card.id);
+
+    const current = existing.get(card.id);
+    if (!current) creates.push(desired);
+    else if (current.syncHash?.value !== desired.hash || current.status !== config.status) updates.push({ desired, current });
+    else unchanged++;
+  }
+
+  for (const [cardId, product] of existing) {
+    // Respect the set filter: only archive products in scope of this run
+    // (card ids of languages other than en carry a "ja:"-style prefix)
+    const inScope = !sets.size || [...sets].some(s => cardId.replace(/^[a-z]+:/, '').startsWith(`${s}-`));
+    if (inScope && !wanted.has(cardId) && product.status !== 'ARCHIVED') archives.push({ cardId, product });
+  }
+
+  console.log(`🛒 Product sync${DRY_RUN ? ' (dry run)' : ''}: ${creates.length} create, ${updates.length} update, ` +
+    `${archives.length} archive, ${unchanged} unchanged, ${unpriced} unpriced card(s) skipped`);
+
+  if (DRY_RUN) {
+    creates.forEach(d => console.log(`  + create ${d.cardId} "${d.product.title}" [${describeVariants(d)}]`));
+    updates.forEach(({ desired: d, current }) => console.log(`  ~ update ${d.cardId} ${current.id} "${d.product.title}" [${describeVariants(d)}]`));
+    archives.forEach(({ cardId, product }) => console.log(`  - archive ${cardId} ${product.id} "${product.title || ''}"`));
+    return;
+  }
+
+  let failed = 0;
+  for (const d of creates) {
+    try {
+      const data = await shopifyGraphQL(CREATE_MUTATION, {
+        input: { ...d.product, variants: variantInputs(d, null), metafields: metafields(d) },
+        media: d.image ? [{ originalSource: d.image, mediaContentType: 'IMAGE', alt: d.product.title }] : []
+      });
+      assertNoUserErrors(data.productCreate, `create ${d.cardId}`);
+      console.log(`  ✅ Created ${d.cardId}`);
+    } catch (e) {
+      console.log(`  ❌ ${e.message}`);
+      failed++;
+    }
+  }
+
+  for (const { desired: d, current } of updates) {
+    try {
+      const { options, ...fields } = d.product;
+      const data = await shopifyGraphQL(UPDATE_MUTATION, {
+        input: { id: current.id, ...fields, variants: variantInputs(d, current), metafields: metafields(d) }
+      });
+      assertNoUserErrors(data.productUpdate, `update ${d.cardId}`);
+      console.log(`  ✅ Updated ${d.cardId}`);
+    } catch (e) {
+      console.log(`  ❌ ${e.message}`);
+      failed++;
+    }
+  }
+
+  for (const { cardId, product } of archives) {
+    try {
+      const data = await shopifyGraphQL(UPDATE_MUTATION, { input: { id: product.id, status: 'ARCHIVED' } });
+      assertNoUserErrors(data.productUpdate, `archive ${cardId}`);
+      console.log(`  🗄️  Archived ${cardId}`);
+    } catch (e) {
+      console.log(`  ❌ ${e.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`📊 Product sync finished with ${failed} failure(s).`);
+  if (failed) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('❌ Product sync failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+/**
+ * sync.js
+ *
+ * Runs the pipeline as one command — fetch-cards → fetch-pricing → merge →
+ * checklists → price-rules → alerts → validate → gate → upload — and writes
+ * `data/run-report.json`: the settings and inputs each stage used, counts,
+ * warnings, per-stage timing and why the run ended. Stops at the first
+ * failing stage and exits with its code; later stages are reported as
+ * `not-run`, so nothing is uploaded when the quality gate
+ * (scripts/quality-gate.js) fails.
+ *
+ * Usage:
+ *  - node scripts/sync.js                          every stage
+ *  - node scripts/sync.js --skip=upload            (npm run build)
+ *  - node scripts/sync.js --only=merge,validate
+ *  - node scripts/sync.js --from=merge
+ *  - node scripts/sync.js --input=./pricing-raw.csv --crawl   passed to fetch-pricing
+ *
+ * Each stage reads the same env as its script (CARD_LANGUAGES, CHUNK_MODE,
+ * PRICING_SOURCES, TCGCSV_*, SHOPIFY_*, ...).
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fetchCards } from './fetch-cards.js';
+import { fetchPricing } from './fetch-pricing.js';
+import { mergeData } from './merge-data.js';
+import { generateChecklists } from './checklists.js';
+import { priceRules } from './price-rules.js';
+import { priceAlerts } from './price-alerts.js';
+import { validateData } from './validate.js';
+import { qualityGate } from './quality-gate.js';
+import { uploadShopify } from './upload-shopify.js';
+import { CARD_SOURCE, STORE_DIR } from './lib/card-store.js';
+import { configuredLanguages } from './lib/languages.js';
+import { SOURCES_FILE } from './lib/pricing-sources.js';
+import { StageError, selectStages, runStages, writeRunReport } from './lib/pipeline.js';
+import { assertValid } from './lib/validate.js';
+
+const REPO_ROOT = process.cwd();
+const DATA_DIR  = path.join(REPO_ROOT, 'data');
+
+function parseArgs(argv) {
+  const list = (v) => v.split(',').map(s => s.trim()).filter(Boolean);
+  const opts = { only: [], skip: [], from: null, input: null, crawl: false };
+  for (const arg of argv) {
+    if (arg.startsWith('--only=')) opts.only.push(...list(arg.slice(7)));
+    else if (arg.startsWith('--skip=')) opts.skip.push(...list(arg.slice(7)));
+    else if (arg.startsWith('--from=')) opts.from = arg.slice(7);
+    else if (arg.startsWith('--input=')) opts.input = arg.slice(8);
+    else if (arg === '--crawl') opts.crawl = true;
+    else throw new StageError(`Unknown argument ${arg}`, 2);
+  }
+  return opts;
+}
+
+/** Catalog totals from the index merge wrote (what summary.json used to hold). */
+function catalogSummary() {
+  const file = path.join(DATA_DIR, 'tcg-cards-index.json');
+  if (!fs.existsSync(file)) return null;
+  const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    totalCards: index.totalCards,
+    totalSets: index.setFiles ? Object.keys(index.setFiles).length : null,
+    totalChunks: (index.chunks || []).length,
+    cardsWithPricing: index.cardsWithPricing,
+    pricingCoverage: `${index.totalCards ? (index.cardsWithPricing / index.totalCards * 100).toFixed(1) : '0.0'}%`,
+    pricingStats: index.pricingStats || null,
+    languages: index.languages || null,
+    lastUpdated: index.generatedAt || null
+  };
+}
+
+async function main() {
+  let opts;
+  let names;
+  const stages = [
+    { name: 'fetch-cards', run: () => fetchCards() },
+    { name: 'fetch-pricing', run: () => fetchPricing({ input: opts.input, crawl: opts.crawl }) },
+    { name: 'merge', run: () => mergeData() },
+    { name: 'checklists', run: () => generateChecklists() },
+    { name: 'price-rules', run: () => priceRules() },
+    { name: 'alerts', run: () => priceAlerts() },
+    { name: 'validate', run: () => validateData(DATA_DIR) },
+    { name: 'gate', run: () => qualityGate() },
+    { name: 'upload', run: () => uploadShopify() }
+  ];
+  try {
+    opts = parseArgs(process.argv.slice(2));
+    names = selectStages(stages.map(s => s.name), opts);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(e.exitCode ?? 2);
+  }
+  if (!names.length) {
+    console.error('❌ No stages selected.');
+    process.exit(2);
+  }
+  console.log(`🔁 Sync stages: ${names.join(' → ')}`);
+
+  const report = await runStages(stages.filter(s => names.includes(s.name)), {
+    selection: { only: opts.only, skip: opts.skip, from: opts.from, stages: names },
+    inputs: {
+      cardSource: CARD_SOURCE,
+      cardStore: path.relative(REPO_ROOT, STORE_DIR) || '.',
+      cardLanguages: configuredLanguages().map(l => l.code),
+      pricingSources: path.relative(REPO_ROOT, SOURCES_FILE),
+      pricingInput: opts.input,
+      chunkMode: process.env.CHUNK_MODE || 'size'
+    }
+  });
+  report.summary = catalogSummary();
+  assertValid('run-report', report, 'run-report.json');
+  const file = writeRunReport(report, DATA_DIR);
+
+  console.log(`\n📝 Run report → ${path.relative(REPO_ROOT, file)}`);
+  if (report.warnings.length) {
+    console.log(`⚠️ ${report.warnings.length} warning(s):`);
+    report.warnings.forEach(w => console.log(`   ${w}`));
+  }
+  console.log(report.status === 'ok' ? `✅ Sync completed in ${(report.durationMs / 1000).toFixed(1)}s` : `❌ ${report.exitReason}`);
+  process.exit(report.exitCode);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,129 +1,167 @@
-// upload-shopify.js - COMPLETE VERSION
+// upload-shopify.js - Incremental theme asset upload
+//
+// Only assets whose content changed are PUT: each file's MD5 is compared
+// with the theme's asset checksum (falling back to the local manifest of
+// what we last uploaded), and `assets/tcg-*.json` keys no longer produced
+// locally (e.g. after the chunk count shrinks) are deleted.
+//
+// Env:
+//   SHOPIFY_STORE, SHOPIFY_ACCESS_TOKEN  credentials
+//   SHOPIFY_API_BASE                     Admin API base URL (local mock for testing)
+//   UPLOAD_MANIFEST                      local manifest path (default .cache/shopify-assets.json)
 import fs from 'fs';
-import fetch from 'node-fetch';
-
-const SHOPIFY_STORE = process.env.SHOPIFY_STORE;
-const ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-
-async function getMainThemeId() {
-  console.log('🔍 Finding main theme ID...');
-  
-  const response = await fetch(
-    `https://${SHOPIFY_STORE}.myshopify.com/admin/api/2023-10/themes.json`,
-    {
-      headers: {
-        'X-Shopify-Access-Token': ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    }
+import path from 'path';
+import crypto from 'crypto';
+import {
+  SHOPIFY_STORE,
+  hasCredentials,
+  shopifyJSON,
+  shopifyRequest,
+  getMainThemeId
+} from './lib/shopify.js';
+import { StageError, runAsScript, RUN_REPORT_FILE } from './lib/pipeline.js';
+import { VALUATION_FILE } from './lib/inventory.js';
+
+const MANIFEST = process.env.UPLOAD_MANIFEST || path.join('.cache', 'shopify-assets.json');
+const ORPHAN_PATTERN = /^assets\/tcg-.*\.json$/;
+
+function md5(content) {
+  return crypto.createHash('md5').update(content, 'utf8').digest('hex');
+}
+
+function assetKeyFor(file) {
+  // Determine correct asset key (remove double tcg- prefix)
+  return file.startsWith('tcg-') ? `assets/${file}` : `assets/tcg-${file}`;
+}
+
+function readManifest() {
+  if (!fs.existsSync(MANIFEST)) return { themeId: null, assets: {} };
+  return JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+}
+
+function writeManifest(manifest) {
+  fs.mkdirSync(path.dirname(MANIFEST), { recursive: true });
+  fs.writeFileSync(MANIFEST, JSON.stringify(manifest, null, 2), 'utf8');
+}
+
+function localAssets() {
+  const dataFiles = fs.readdirSync('data/').filter(f =>
+    f.endsWith('.json') && !f.includes('raw-') && // Skip raw files
+    f !== 'pricing-unmatched.json' && f !== RUN_REPORT_FILE && // Diagnostics stay in the repo
+    f !== VALUATION_FILE // and so does what the store owns
   );
-  
-  if (!response.ok) {
-    throw new Error(`Failed to get themes: ${response.statusText}`);
-  }
-  
-  const data = await response.json();
-  const mainTheme = data.themes.find(theme => theme.role === 'main');
-  
-  if (!mainTheme) {
-    throw new Error('No main theme found');
-  }
-  
-  console.log(`✅ Found main theme: ${mainTheme.name} (ID: ${mainTheme.id})`);
-  return mainTheme.id;
+  return dataFiles.map(file => {
+    const content = fs.readFileSync(`data/${file}`, 'utf8');
+    return { file, key: assetKeyFor(file), content, checksum: md5(content) };
+  });
 }
 
-async function uploadToShopify() {
+/**
+ * Stage: uploads changed data assets to the main theme. Skipped without
+ * credentials; assets that fail to upload or delete are warnings (they are
+ * retried next run, as the manifest only records successes).
+ */
+export async function uploadShopify() {
   console.log('📤 Uploading data to Shopify...');
-  
+
   // Check for required environment variables
-  if (!SHOPIFY_STORE || !ACCESS_TOKEN) {
+  if (!hasCredentials()) {
     console.log('⚠️ Missing Shopify credentials');
     console.log('   Set SHOPIFY_STORE and SHOPIFY_ACCESS_TOKEN environment variables');
     console.log('   For now, skipping Shopify upload...');
-    return;
+    return { status: 'skipped', reason: 'missing Shopify credentials' };
   }
-  
+
   try {
     // Get the main theme ID
     const themeId = await getMainThemeId();
-    
-    // Get list of data files to upload
-    const dataFiles = fs.readdirSync('data/').filter(f => 
-      f.endsWith('.json') && !f.includes('raw-') // Skip raw files
-    );
-    
-    console.log(`📦 Found ${dataFiles.length} files to upload`);
-    
-    let successCount = 0;
-    let errorCount = 0;
-    
-    for (const file of dataFiles) {
+    const manifest = readManifest();
+    if (manifest.themeId !== themeId) manifest.assets = {}; // different theme, nothing known
+    manifest.themeId = themeId;
+
+    // Remote checksums for what's already in the theme
+    const { assets: remoteAssets = [] } = await shopifyJSON(`/themes/${themeId}/assets.json?fields=key,checksum`);
+    const remote = new Map(remoteAssets.map(a => [a.key, a.checksum || null]));
+
+    const assets = localAssets();
+    const changed = assets.filter(a => {
+      const remoteChecksum = remote.get(a.key);
+      if (remoteChecksum) return remoteChecksum !== a.checksum;
+      if (!remote.has(a.key)) return true;
+      return manifest.assets[a.key]?.checksum !== a.checksum;
+    });
+
+    const localKeys = new Set(assets.map(a => a.key));
+    const orphans = [...remote.keys()].filter(key => ORPHAN_PATTERN.test(key) && !localKeys.has(key));
+
+    console.log(`📦 ${assets.length} local assets: ${changed.length} changed, ${assets.length - changed.length} unchanged, ${orphans.length} orphaned`);
+
+    let uploaded = 0;
+    let deleted = 0;
+    const warnings = [];
+
+    for (const asset of changed) {
+      try {
+        await shopifyRequest(`/themes/${themeId}/assets.json`, {
+          method: 'PUT',
+          body: { asset: { key: asset.key, value: asset.content } }
+        });
+        console.log(`  ✅ Uploaded: ${asset.file} → ${asset.key}`);
+        manifest.assets[asset.key] = { checksum: asset.checksum, uploadedAt: new Date().toISOString() };
+        writeManifest(manifest);
+        uploaded++;
+      } catch (error) {
+        console.log(`  ❌ Error uploading ${asset.file}: ${error.message}`);
+        warnings.push(`upload of ${asset.file} failed: ${error.message}`);
+      }
+    }
+
+    for (const key of orphans) {
       try {
-        console.log(`Uploading: ${file}`);
-        
-        const content = fs.readFileSync(`data/${file}`, 'utf8');
-        
-        // Determine correct asset key (remove double tcg- prefix)
-        let assetKey;
-        if (file.startsWith('tcg-')) {
-          assetKey = `assets/${file}`; // Already has tcg- prefix
-        } else {
-          assetKey = `assets/tcg-${file}`; // Add tcg- prefix
-        }
-        
-        console.log(`  Asset key: ${assetKey}`);
-        
-        // Upload as Shopify asset using correct theme ID
-        const response = await fetch(
-          `https://${SHOPIFY_STORE}.myshopify.com/admin/api/2023-10/themes/${themeId}/assets.json`,
-          {
-            method: 'PUT',
-            headers: {
-              'X-Shopify-Access-Token': ACCESS_TOKEN,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              asset: {
-                key: assetKey,
-                value: content
-              }
-            })
-          }
-        );
-        
-        if (response.ok) {
-          console.log(`  ✅ Uploaded: ${file} → ${assetKey}`);
-          successCount++;
-        } else {
-          const errorText = await response.text();
-          console.log(`  ❌ Failed: ${file} - ${response.status} ${response.statusText}`);
-          console.log(`     Error details: ${errorText}`);
-          errorCount++;
-        }
-        
-        // Small delay between uploads
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
+        await shopifyRequest(`/themes/${themeId}/assets.json?asset[key]=${encodeURIComponent(key)}`, {
+          method: 'DELETE',
+          allowStatus: [404]
+        });
+        console.log(`  🗑️  Deleted orphan: ${key}`);
+        delete manifest.assets[key];
+        deleted++;
       } catch (error) {
-        console.log(`  ❌ Error uploading ${file}: ${error.message}`);
-        errorCount++;
+        console.log(`  ❌ Error deleting ${key}: ${error.message}`);
+        warnings.push(`delete of ${key} failed: ${error.message}`);
+      }
+    }
+
+    // Remember unchanged assets too, so a theme without checksums still skips them
+    for (const asset of assets) {
+      if (!changed.includes(asset) && !manifest.assets[asset.key]) {
+        manifest.assets[asset.key] = { checksum: asset.checksum, uploadedAt: null };
       }
     }
-    
-    console.log(`📊 Upload summary: ${successCount} successful, ${errorCount} failed`);
-    
-    if (successCount > 0) {
+    writeManifest(manifest);
+
+    console.log(`📊 Upload summary: ${uploaded + deleted} successful, ${warnings.length} failed, ${assets.length - changed.length} skipped`);
+
+    if (uploaded + deleted > 0) {
       console.log('✅ Data successfully uploaded to Shopify!');
       console.log(`   Files are available at: /assets/[filename].json`);
-      console.log(`   Example: https://${SHOPIFY_STORE}.myshopify.com/assets/tcg-cards-index.json`);
+      if (SHOPIFY_STORE) console.log(`   Example: https://${SHOPIFY_STORE}.myshopify.com/assets/tcg-cards-index.json`);
     }
-    
+    return {
+      inputs: { store: SHOPIFY_STORE || null, themeId },
+      counts: {
+        assets: assets.length,
+        uploaded,
+        unchanged: assets.length - changed.length,
+        orphansDeleted: deleted,
+        failed: warnings.length
+      },
+      warnings
+    };
+
   } catch (error) {
-    console.error('❌ Error uploading to Shopify:', error.message);
     console.error('   Check your SHOPIFY_STORE and SHOPIFY_ACCESS_TOKEN secrets');
+    throw new StageError(`Error uploading to Shopify: ${error.message}`);
   }
 }
 
-// Run the function
-uploadToShopify().catch(console.error);
+runAsScript(import.meta.url, uploadShopify);
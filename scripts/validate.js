@@ -0,0 +1,116 @@
+/**
+ * validate.js
+ *
+ * Offline check of the data directory against the JSON Schemas in
+ * `schemas/`: pricing-raw.json, run-report.json, inventory-valuation.json,
+ * store-prices.json, tcg-cards-index.json, tcg-search-index.json, every
+ * chunk and checklist file, plus cross-file consistency (listed chunks
+ * exist, chunk card counts add up to the index total, each file matches its
+ * count/bytes/hash in the manifest and the search index has one row per
+ * card).
+ *
+ * Usage: node scripts/validate.js [dataDir]   (default ./data)
+ * Exits 1 when any violation is found (validateData() throws a StageError).
+ */
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { validate, formatViolations } from './lib/validate.js';
+import { chunkFiles as listChunkFiles } from './lib/catalog.js';
+import { hashContent } from './lib/card-store.js';
+import { StageError, runAsScript, RUN_REPORT_FILE } from './lib/pipeline.js';
+import { VALUATION_FILE } from './lib/inventory.js';
+import { CHECKLIST_FILE_PATTERN } from './lib/checklists.js';
+import { STORE_PRICES_FILE } from './lib/price-rules.js';
+
+const REPO_ROOT = process.cwd();
+
+function readJson(file, errors) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    errors.push({ path: '', message: `unreadable: ${e.message}` });
+    return undefined;
+  }
+}
+
+/** Stage: validates every data artifact in `dataDir`. */
+export async function validateData(dataDir = path.join(REPO_ROOT, 'data')) {
+  const dir = path.resolve(dataDir);
+  if (!fs.existsSync(dir)) {
+    throw new StageError(`${dir} not found`, 2);
+  }
+
+  const results = [];
+  const check = (file, schema) => {
+    const errors = [];
+    const data = readJson(path.join(dir, file), errors);
+    if (data !== undefined) errors.push(...validate(schema, data));
+    results.push({ file, errors });
+    return data;
+  };
+
+  if (fs.existsSync(path.join(dir, 'pricing-raw.json'))) check('pricing-raw.json', 'pricing-raw');
+  if (fs.existsSync(path.join(dir, RUN_REPORT_FILE))) check(RUN_REPORT_FILE, 'run-report');
+  if (fs.existsSync(path.join(dir, VALUATION_FILE))) check(VALUATION_FILE, 'inventory-valuation');
+  if (fs.existsSync(path.join(dir, STORE_PRICES_FILE))) check(STORE_PRICES_FILE, 'store-prices');
+  for (const file of fs.readdirSync(dir).filter(f => CHECKLIST_FILE_PATTERN.test(f))) check(file, 'checklist');
+
+  const index = fs.existsSync(path.join(dir, 'tcg-cards-index.json'))
+    ? check('tcg-cards-index.json', 'cards-index')
+    : null;
+
+  const searchIndex = fs.existsSync(path.join(dir, 'tcg-search-index.json'))
+    ? check('tcg-search-index.json', 'search-index')
+    : null;
+
+  const chunkFiles = listChunkFiles(dir, index)
+    .filter(f => fs.existsSync(path.join(dir, f)));
+
+  // Cross-file consistency
+  const consistency = [];
+  let chunkCards = 0;
+  for (const file of chunkFiles) {
+    const chunk = check(file, 'cards-chunk');
+    const count = Array.isArray(chunk?.cards) ? chunk.cards.length : 0;
+    chunkCards += count;
+
+    const expected = index?.files?.[file];
+    if (!expected) continue;
+    const text = fs.readFileSync(path.join(dir, file), 'utf8');
+    if (expected.count !== count) consistency.push({ path: `files.${file}.count`, message: `is ${expected.count} but the file holds ${count} cards` });
+    if (expected.bytes !== Buffer.byteLength(text, 'utf8')) consistency.push({ path: `files.${file}.bytes`, message: `does not match the file size` });
+    if (expected.hash !== hashContent(text)) consistency.push({ path: `files.${file}.hash`, message: `does not match the file content` });
+  }
+
+  if (index) {
+    for (const name of index.chunks || []) {
+      if (!fs.existsSync(path.join(dir, name))) consistency.push({ path: `chunks`, message: `lists ${name}, which does not exist` });
+    }
+    if (Number.isInteger(index.totalCards) && index.totalCards !== chunkCards) {
+      consistency.push({ path: 'totalCards', message: `is ${index.totalCards} but chunk files hold ${chunkCards} cards` });
+    }
+    if (searchIndex && Array.isArray(searchIndex.cards) && searchIndex.cards.length !== chunkCards) {
+      consistency.push({ path: 'searchIndex', message: `tcg-search-index.json has ${searchIndex.cards.length} rows but chunk files hold ${chunkCards} cards` });
+    }
+  } else if (chunkFiles.length) {
+    consistency.push({ path: '', message: 'chunk files exist but tcg-cards-index.json is missing' });
+  }
+  results.push({ file: 'tcg-cards-index.json (consistency)', errors: consistency });
+
+  const failed = results.filter(r => r.errors.length);
+  const total = failed.reduce((n, r) => n + r.errors.length, 0);
+  for (const r of failed) console.error(`❌ ${formatViolations(r.file, r.errors)}`);
+
+  console.log(`📋 Checked ${results.length - 1} file(s) in ${path.relative(REPO_ROOT, dir) || '.'} (${chunkCards} cards in ${chunkFiles.length} chunk(s)).`);
+  if (total) {
+    throw new StageError(`${total} violation(s) in ${failed.length} file(s).`);
+  }
+  console.log('✅ All data artifacts valid.');
+  return {
+    inputs: { dataDir: path.relative(REPO_ROOT, dir) || '.' },
+    counts: { files: results.length - 1, chunks: chunkFiles.length, cards: chunkCards }
+  };
+}
+
+runAsScript(import.meta.url, () => validateData(process.argv[2] || undefined));
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chunkFiles, loadChunk } from '../scripts/lib/catalog.js';
+import {
+  FIELDS, PRICE_BUCKETS, buildSearchIndex, createCardSearch, parseQuery, priceBucket, tokenize
+} from '../scripts/lib/card-search.js';
+
+// Fixtures: the committed merged chunks
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const chunks = chunkFiles(DATA_DIR).map(name => ({ name, cards: loadChunk(name, DATA_DIR) }));
+const cards = chunks.flatMap(c => c.cards);
+const index = buildSearchIndex(chunks, '2024-01-01T00:00:00.000Z');
+const COL = Object.fromEntries(FIELDS.map((f, i) => [f, i]));
+
+function searcher(loaded = []) {
+  const byName = new Map(chunks.map(c => [c.name, c]));
+  return createCardSearch(index, async (name) => { loaded.push(name); return byName.get(name); });
+}
+
+test('fixtures: committed chunks are present', () => {
+  assert.ok(chunks.length > 1);
+  assert.ok(cards.length > 1000);
+});
+
+test('tokenize strips accents and punctuation', () => {
+  assert.deepEqual(tokenize("Pokémon Trainer's Mail"), ['pokemon', 'trainer', 's', 'mail']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('priceBucket maps prices onto bucket lower bounds', () => {
+  assert.equal(priceBucket(null), -1);
+  assert.equal(priceBucket(0), -1);
+  assert.equal(priceBucket(0.5), 0);
+  assert.equal(priceBucket(12), PRICE_BUCKETS.indexOf(10));
+  assert.equal(priceBucket(9999), PRICE_BUCKETS.length - 1);
+});
+
+test('buildSearchIndex has one row per card in chunk order', () => {
+  assert.deepEqual(index.fields, FIELDS);
+  assert.equal(index.generatedAt, '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(index.chunks, chunks.map(c => c.name));
+  assert.equal(index.cards.length, cards.length);
+  assert.deepEqual(index.cards.map(r => r[COL.id]), cards.map(c => c.id));
+});
+
+test('buildSearchIndex stores repeated strings as dictionary indexes', () => {
+  const first = cards[0];
+  const row = index.cards[0];
+  assert.equal(row[COL.name], first.name);
+  assert.equal(row[COL.tokens], tokenize(first.name).join(' '));
+  assert.equal(index.sets[row[COL.set]].id, first.set.id);
+  assert.equal(index.rarities[row[COL.rarity]], first.rarity);
+  assert.deepEqual(row[COL.types].map(t => index.types[t]), first.types || []);
+  assert.equal(index.supertypes[row[COL.supertype]], first.supertype);
+  assert.equal(index.chunks[row[COL.chunk]], chunks[0].name);
+
+  assert.equal(new Set(index.sets.map(s => s.id)).size, index.sets.length);
+  assert.equal(new Set(index.rarities).size, index.rarities.length);
+  assert.equal(index.sets.length, new Set(cards.map(c => c.set.id)).size);
+});
+
+test('buildSearchIndex prices cards by their default printing', () => {
+  const priced = { ...cards[0], id: 'test-1', pricing: { printing: 'holofoil', market: 12.5 } };
+  const unpriced = { ...cards[1], id: 'test-2', pricing: null };
+  const small = buildSearchIndex([{ name: 'x.json', cards: [priced, unpriced] }]);
+  assert.equal(small.cards[0][COL.market], 12.5);
+  assert.equal(small.cards[0][COL.priceBucket], PRICE_BUCKETS.indexOf(10));
+  assert.equal(small.cards[1][COL.market], null);
+  assert.equal(small.cards[1][COL.priceBucket], -1);
+});
+
+test('parseQuery reads types, rarity, series and price phrases', () => {
+  assert.deepEqual(parseQuery('Psychic Rare Holo under $20 in Base series', index), {
+    maxPrice: 20, series: 'Base', rarity: 'Rare Holo', types: ['Psychic']
+  });
+  assert.deepEqual(parseQuery('between $5 and 10', index), { minPrice: 5, maxPrice: 10 });
+  assert.deepEqual(parseQuery('over 3', index), { minPrice: 3 });
+  assert.deepEqual(parseQuery('Pikachu Jungle set', index), { setId: 'base2', text: 'Pikachu' });
+  assert.deepEqual(parseQuery('', index), {});
+});
+
+test('parseQuery keeps type words that are part of a card name', () => {
+  assert.deepEqual(parseQuery('Fire Energy', index), { text: 'Fire Energy' });
+  assert.deepEqual(parseQuery('Psychic Energy', index), { text: 'Psychic Energy' });
+});
+
+test('parseQuery keeps rarity words that are part of a card name', () => {
+  assert.deepEqual(parseQuery('Rare Candy', index), { text: 'Rare Candy' });
+  assert.equal(searcher().query('Rare Candy').total, cards.filter(c => c.name === 'Rare Candy').length);
+  assert.deepEqual(parseQuery('Holo Rare', index), { rarity: 'Rare Holo' });
+  assert.deepEqual(parseQuery('Charizard Rare Holo', index), { rarity: 'Rare Holo', text: 'Charizard' });
+  assert.deepEqual(parseQuery('Ultra Rare', index), { rarity: 'Ultra Rare' });
+});
+
+test('parseQuery uses bare type words as filters when cards still match', () => {
+  assert.deepEqual(parseQuery('Charizard Fire', index), { types: ['Fire'], text: 'Charizard' });
+  assert.deepEqual(parseQuery('Water', index), { types: ['Water'] });
+  assert.deepEqual(parseQuery('Energy', index), { supertype: 'Energy' });
+});
+
+test('parseQuery always treats qualified types as filters', () => {
+  assert.deepEqual(parseQuery('fire type', index), { types: ['Fire'] });
+  assert.deepEqual(parseQuery('type grass', index), { types: ['Grass'] });
+  assert.deepEqual(parseQuery('supertype trainer', index), { supertype: 'Trainer' });
+});
+
+test('query finds Fire Energy by name', () => {
+  const { total, hits } = searcher().query('Fire Energy');
+  assert.ok(total >= cards.filter(c => c.name === 'Fire Energy').length);
+  for (const h of hits) {
+    const tokens = tokenize(h.name);
+    assert.ok(tokens.some(t => t.startsWith('fire')) && tokens.some(t => t.startsWith('energy')), h.name);
+  }
+});
+
+test('query applies structured filters', () => {
+  const { total, hits } = searcher().query({ types: ['Psychic'], rarity: 'Rare Holo', series: 'Base' });
+  const expected = cards.filter(c => c.set.series === 'Base' && c.rarity === 'Rare Holo' && (c.types || []).includes('Psychic'));
+  assert.equal(total, expected.length);
+  assert.deepEqual(hits.map(h => h.id).sort(), expected.map(c => c.id).sort());
+  for (const h of hits) {
+    assert.equal(h.series, 'Base');
+    assert.equal(h.rarity, 'Rare Holo');
+    assert.ok(h.types.includes('Psychic'));
+  }
+});
+
+test('query matches nothing for values the index has never seen', () => {
+  assert.ok(cards.some(c => !c.rarity));
+  assert.equal(searcher().query({ rarity: 'Bogus' }).total, 0);
+  assert.equal(searcher().query({ supertype: 'Bogus' }).total, 0);
+  assert.equal(searcher().query({ types: ['Fire', 'Bogus'] }).total, 0);
+});
+
+test('query matches name text by token prefix', () => {
+  const { hits } = searcher().query({ text: 'chari' });
+  assert.ok(hits.length > 0);
+  assert.ok(hits.every(h => tokenize(h.name).some(t => t.startsWith('chari'))));
+  assert.equal(searcher().query({ text: 'zzzznotacard' }).total, 0);
+});
+
+test('query sorts by collector number within a set and paginates', () => {
+  const search = searcher();
+  const all = search.query({ setId: 'base1', sort: 'number' });
+  assert.equal(all.total, cards.filter(c => c.set.id === 'base1').length);
+  assert.deepEqual(all.hits.slice(0, 3).map(h => h.number), ['1', '2', '3']);
+  assert.equal(all.hits[9].number, '10');
+
+  const page2 = search.query({ setId: 'base1', sort: 'number', offset: 10, limit: 10 });
+  assert.equal(page2.total, all.total);
+  assert.deepEqual(page2.hits.map(h => h.id), all.hits.slice(10, 20).map(h => h.id));
+});
+
+test('query filters and sorts by price', () => {
+  const priced = cards.slice(0, 3).map((c, i) => ({ ...c, pricing: { printing: 'normal', market: [4, 40, 0.5][i] } }));
+  const search = createCardSearch(buildSearchIndex([{ name: 'x.json', cards: priced }]), async () => ({ cards: priced }));
+  assert.deepEqual(search.query({ maxPrice: 5, sort: 'price' }).hits.map(h => h.market), [0.5, 4]);
+  assert.deepEqual(search.query({ minPrice: 1, sort: '-price' }).hits.map(h => h.market), [40, 4]);
+  assert.deepEqual(search.query('under $1').hits.map(h => h.market), [0.5]);
+});
+
+test('fetchCards loads only the chunks holding the hits', async () => {
+  const loaded = [];
+  const search = searcher(loaded);
+  const { hits } = search.query({ setId: 'base1', limit: 5 });
+  const full = await search.fetchCards(hits);
+  assert.deepEqual(full.map(c => c.id), hits.map(h => h.id));
+  assert.deepEqual(loaded, [...new Set(hits.map(h => h.chunk))]);
+});
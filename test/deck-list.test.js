@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeckList, createDeckPricer } from '../scripts/lib/deck-list.js';
+
+// Fixtures: merged cards with card text (the committed chunks carry none)
+const SETS = [
+  { id: 'base1', name: 'Base', ptcgoCode: 'BS' },
+  { id: 'base4', name: 'Base Set 2', ptcgoCode: 'B2' },
+  { id: 'xyp', name: 'XY Black Star Promos', ptcgoCode: 'PR-XY' },
+  { id: 'sv1', name: 'Scarlet & Violet', ptcgoCode: 'SVI' },
+  { id: 'sv3pt5', name: '151', ptcgoCode: 'MEW' }
+];
+const GNAW = { name: 'Gnaw', cost: ['Colorless'], damage: '10', text: '' };
+const THUNDER_JOLT = { name: 'Thunder Jolt', cost: ['Lightning', 'Colorless'], damage: '30', text: 'Flip a coin. If tails, Pikachu does 10 damage to itself.' };
+const THUNDERBOLT = { name: 'Thunderbolt', cost: ['Lightning', 'Lightning', 'Lightning'], damage: '200', text: 'Discard all Energy from this Pokémon.' };
+const TOPAZ_BOLT = { name: 'Topaz Bolt', cost: ['Grass', 'Lightning', 'Metal'], damage: '300', text: 'Discard 3 Energy from this Pokémon.' };
+
+function card(setId, number, name, market, extra = {}) {
+  const set = SETS.find(s => s.id === setId);
+  const prices = market === null ? null : { normal: { market } };
+  return {
+    id: `${setId}-${number}`, name, number, supertype: 'Pokémon',
+    set: { id: set.id, name: set.name, ptcgoCode: set.ptcgoCode },
+    prices, pricing: prices && { printing: 'normal', market },
+    ...extra
+  };
+}
+
+const CARDS = [
+  card('base1', '58', 'Pikachu', 3, { attacks: [GNAW, THUNDER_JOLT] }),
+  card('base4', '87', 'Pikachu', 1.5, { attacks: [GNAW, THUNDER_JOLT] }),
+  card('sv3pt5', '25', 'Pikachu', 0.5, { attacks: [{ name: 'Thunder Shock', cost: ['Lightning'], damage: '20', text: '' }] }),
+  card('sv1', '63', 'Pikachu ex', 5, { attacks: [TOPAZ_BOLT] }),
+  card('sv3pt5', '200', 'Pikachu ex', 2, { attacks: [TOPAZ_BOLT] }),
+  card('xyp', 'XY84', 'Pikachu-EX', 1, { attacks: [THUNDERBOLT] }),
+  card('sv1', '256', 'Rare Candy', 0.4, { supertype: 'Trainer' }),
+  card('sv3pt5', '191', 'Rare Candy', 0.1, { supertype: 'Trainer' }),
+  card('sv1', '257', 'Lightning Energy', 0.2, { supertype: 'Energy', subtypes: ['Basic'] }),
+  card('base1', '100', 'Lightning Energy', 0.1, { supertype: 'Energy' })
+];
+
+const DECK = `Pokémon: 3
+4 Pikachu ex SVI 63
+1 Pikachu BS 58
+Trainer: 1
+4 Rare Candy SVI 256
+Energy: 1
+8 Basic {L} Energy SVI 257
+`;
+
+const pricer = createDeckPricer({ cards: CARDS, sets: SETS });
+const priced = (report) => Object.fromEntries(report.lines.map(l => [l.cardId, [l.pricedCardId, l.unitPrice]]));
+
+test('specific mode prices the exact printings listed', () => {
+  const report = pricer.price(parseDeckList(DECK), { mode: 'specific' });
+  assert.deepEqual(priced(report), {
+    'sv1-63': ['sv1-63', 5],
+    'base1-58': ['base1-58', 3],
+    'sv1-256': ['sv1-256', 0.4],
+    'sv1-257': ['sv1-257', 0.2]
+  });
+  assert.equal(report.totals.value, 26.2);
+  assert.deepEqual(report.unresolved, []);
+});
+
+test('cheapest mode only swaps in reprints with the same name and card text', () => {
+  const report = pricer.price(parseDeckList(DECK), { mode: 'cheapest' });
+  assert.deepEqual(priced(report), {
+    // Not the Pikachu-EX promo: another card, though deck names compare alike
+    'sv1-63': ['sv3pt5-200', 2],
+    // Not the 151 Pikachu: same name, different attack
+    'base1-58': ['base4-87', 1.5],
+    // No card text in the catalog: only its own price
+    'sv1-256': ['sv1-256', 0.4],
+    // Basic energy: any printing
+    'sv1-257': ['base1-100', 0.1]
+  });
+});
+
+test('cheapest mode leaves name-only lines unresolved when the name covers different cards', () => {
+  const report = pricer.price(parseDeckList('2 Pikachu\n1 Pikachu ex\n4 Lightning Energy\n'), { mode: 'cheapest' });
+  assert.deepEqual(report.unresolved.map(u => u.raw), ['2 Pikachu', '1 Pikachu ex']);
+  assert.match(report.unresolved[0].reason, /not all reprints/);
+  assert.deepEqual(report.lines.map(l => [l.name, l.pricedCardId]), [['Lightning Energy', 'base1-100']]);
+
+  const specific = pricer.price(parseDeckList('2 Pikachu\n'), { mode: 'specific' });
+  assert.match(specific.unresolved[0].reason, /has 3 printings/);
+});
+
+test('suggestions name printings by set code', () => {
+  const report = pricer.price(parseDeckList('1 Pikachu BS 99\n'), { mode: 'specific' });
+  assert.equal(report.unresolved[0].suggestions[0], 'Pikachu BS 58 (Base)');
+});
@@ -0,0 +1,41 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Fixture: a local pokemon-tcg-data mirror with en and ja data for one set id.
+// The card store, source and alias registry are read from env at import time.
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-cards-'));
+const MIRROR = path.join(WORK_DIR, 'mirror');
+const REGISTRY = path.join(WORK_DIR, 'set-aliases.json');
+Object.assign(process.env, {
+  POKEMON_TCG_DATA: MIRROR,
+  CARD_STORE_DIR: path.join(WORK_DIR, 'store'),
+  SET_ALIASES_FILE: REGISTRY,
+  CARD_LANGUAGES: 'en,ja'
+});
+const { fetchCards } = await import('../scripts/fetch-cards.js');
+const { loadAliasRegistry } = await import('../scripts/lib/set-aliases.js');
+
+after(() => fs.rmSync(WORK_DIR, { recursive: true, force: true }));
+
+function writeJson(relPath, data) {
+  const file = path.join(MIRROR, relPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ data }), 'utf8');
+}
+
+test('only en sets seed the set alias registry', async () => {
+  writeJson('sets/en.json', [{ id: 'sv1', name: 'Scarlet & Violet', series: 'Scarlet & Violet', ptcgoCode: 'SVI', releaseDate: '2023/03/31' }]);
+  writeJson('sets/ja.json', [{ id: 'sv1', name: 'スカーレットex', series: 'スカーレット&バイオレット', ptcgoCode: 'SV1S', releaseDate: '2023/01/20' }]);
+  writeJson('cards/en/sv1.json', [{ id: 'sv1-1', name: 'Pineco', number: '1' }]);
+  writeJson('cards/ja/sv1.json', [{ id: 'sv1-1', name: 'クヌギダマ', number: '1' }]);
+
+  const result = await fetchCards();
+  assert.equal(result.counts.cards, 2);
+  const { sv1 } = loadAliasRegistry(REGISTRY).sets;
+  assert.equal(sv1.name, 'Scarlet & Violet');
+  assert.equal(sv1.ptcgoCode, 'SVI');
+  assert.equal(sv1.releaseDate, '2023/03/31');
+});
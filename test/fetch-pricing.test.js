@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { crawlTcgcsv } from '../scripts/lib/tcgcsv.js';
+
+// Fixture: a TCGCSV category 3 recording (groups, products, prices). Group
+// 604 has no products file, so it 404s and fails.
+const FIXTURE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tcgcsv');
+
+// fetch-pricing.js writes data/ under the working directory it's imported from
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-pricing-'));
+const CWD = process.cwd();
+process.chdir(WORK_DIR);
+const { fetchPricing } = await import('../scripts/fetch-pricing.js');
+
+let server;
+let base;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const file = path.join(FIXTURE, `${decodeURIComponent(new URL(req.url, 'http://x').pathname)}.json`);
+    if (!file.startsWith(FIXTURE) || !fs.existsSync(file)) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(fs.readFileSync(file));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  process.chdir(CWD);
+  fs.rmSync(WORK_DIR, { recursive: true, force: true });
+  return new Promise(resolve => server.close(resolve));
+});
+
+test('crawl reports each group and joins prices to products by productId', async () => {
+  const { rows, groups } = await crawlTcgcsv({ base, category: 3, retries: 0 });
+  assert.deepEqual(groups.map(g => [g.groupId, g.ok, g.products, g.prices, g.rows]), [
+    ['604', false, 0, 0, 0],
+    ['2701', true, 2, 4, 3],
+    ['23237', true, 1, 2, 2]
+  ]);
+  assert.match(groups[0].error, /404/);
+
+  // One row per productId + subTypeName; the price without a product is dropped
+  assert.deepEqual(rows.map(r => [r.productId, r.name, r.extNumber, r.subTypeName, r.market]), [
+    ['226010', 'Pikachu', '043/185', 'Normal', 0.2],
+    ['226010', 'Pikachu', '043/185', 'Reverse Holofoil', 0.55],
+    ['226100', 'Vivid Voltage Booster Pack', '', 'Normal', 4.1],
+    ['502100', 'Pikachu', '025/165', 'Normal', 0.24],
+    ['502100', 'Pikachu', '025/165', 'Reverse Holofoil', 0.8]
+  ]);
+});
+
+test('fetchPricing maps crawled groups to set ids and counts numbers from extended data', async () => {
+  Object.assign(process.env, { TCGCSV_BASE: base, TCGCSV_CATEGORY: '3', TCGCSV_RETRIES: '0', PRICING_SOURCES: 'tcgcsv' });
+  try {
+    const result = await fetchPricing({ crawl: true });
+    assert.equal(result.counts.groups, 3);
+    assert.equal(result.counts.groupsFailed, 1);
+    assert.match(result.warnings.join('\n'), /1 TCGCSV group\(s\) failed: 604/);
+
+    const out = JSON.parse(fs.readFileSync(path.join(WORK_DIR, 'data', 'pricing-raw.json'), 'utf8'));
+    assert.equal(out.groupsProcessed, 2);
+    assert.deepEqual(out.groups.map(g => [g.groupId, g.setId]), [['604', null], ['2701', 'swsh4'], ['23237', 'sv3pt5']]);
+    assert.equal(out.extractionStats.numbersFromAPI, 4);
+    assert.equal(out.pricing['swsh4|043/185|normal|EN'].market, 0.2);
+    assert.equal(out.pricing['swsh4|043/185|reverseholofoil|EN'].market, 0.55);
+    assert.equal(out.pricing['sv3pt5|025/165|reverseholofoil|EN'].market, 0.8);
+  } finally {
+    for (const name of ['TCGCSV_BASE', 'TCGCSV_CATEGORY', 'TCGCSV_RETRIES', 'PRICING_SOURCES']) delete process.env[name];
+  }
+});
@@ -0,0 +1,100 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// merge-data.js and the card store read data/ and .cache/cards under the
+// working directory they're imported from
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-data-'));
+const DATA_DIR = path.join(WORK_DIR, 'data');
+const STORE_DIR = path.join(WORK_DIR, '.cache', 'cards');
+const CWD = process.cwd();
+process.chdir(WORK_DIR);
+const { mergeData } = await import('../scripts/merge-data.js');
+const { loadMergedCards } = await import('../scripts/lib/catalog.js');
+const { appendSnapshot } = await import('../scripts/lib/price-history.js');
+
+after(() => {
+  process.chdir(CWD);
+  fs.rmSync(WORK_DIR, { recursive: true, force: true });
+});
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+}
+
+/** Card store with one set, and pricing rows that carry no card number. */
+function writeFixture(cards, products) {
+  writeJson(path.join(STORE_DIR, 'sets.json'), [{
+    id: 'swsh4', name: 'Vivid Voltage', series: 'Sword & Shield', printedTotal: 185, ptcgoCode: 'VIV', releaseDate: '2020/11/13'
+  }]);
+  writeJson(path.join(STORE_DIR, 'sets', 'swsh4.json'), cards);
+  const pricing = {};
+  for (const { productId, name, market } of products) {
+    const key = `swsh4|#${productId}|normal|EN`;
+    pricing[key] = { key, groupId: 'swsh4', printing: 'normal', productId, name, market, low: market, mid: market, high: market, directLow: market };
+  }
+  writeJson(path.join(DATA_DIR, 'pricing-raw.json'), { lastUpdated: '2024-01-01T00:00:00.000Z', pricing });
+  return pricing;
+}
+
+const pricedBy = () => Object.fromEntries(loadMergedCards(DATA_DIR).map(c => [c.id, c.pricing?.productId ?? null]));
+const unmatched = () => JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'pricing-unmatched.json'), 'utf8'))
+  .unmatchedCardsBySet.flatMap(s => s.cards);
+
+test('the name pass gives a product to its best card, not the first one to ask', async () => {
+  writeFixture([
+    { id: 'swsh4-1', name: 'Pokémon Catcher', number: '1', supertype: 'Trainer' },
+    { id: 'swsh4-2', name: 'Pokémon Catchers', number: '2', supertype: 'Trainer' }
+  ], [{ productId: 900, name: 'Pokemon Catchers', market: 1.5 }]);
+  await mergeData();
+
+  assert.deepEqual(pricedBy(), { 'swsh4-1': null, 'swsh4-2': 900 });
+  const [loser] = unmatched();
+  assert.equal(loser.id, 'swsh4-1');
+  assert.equal(loser.nameMatch.rejected, 'product better name-matched to swsh4-2');
+});
+
+test('the name pass leaves a product two cards match equally well unattached', async () => {
+  writeFixture([
+    { id: 'swsh4-1', name: 'Pokémon Catcher V', number: '1', supertype: 'Trainer' },
+    { id: 'swsh4-2', name: 'Pokémon Catcher X', number: '2', supertype: 'Trainer' }
+  ], [{ productId: 900, name: 'Pokemon Catcher', market: 1.5 }]);
+  await mergeData();
+
+  assert.deepEqual(pricedBy(), { 'swsh4-1': null, 'swsh4-2': null });
+  assert.deepEqual(unmatched().map(c => c.nameMatch.rejected), [
+    'product name-matches swsh4-2 equally well',
+    'product name-matches swsh4-1 equally well'
+  ]);
+});
+
+test('price history files of sets that no longer have history are removed', async () => {
+  const pricing = writeFixture([{ id: 'swsh4-1', name: 'Pokémon Catcher', number: '1', supertype: 'Trainer' }],
+    [{ productId: 900, name: 'Pokemon Catcher', market: 1.5 }]);
+  appendSnapshot(pricing);
+  writeJson(path.join(DATA_DIR, 'tcg-price-history-base1.json'), { setId: 'base1', cards: {} });
+  const result = await mergeData();
+
+  assert.deepEqual(fs.readdirSync(DATA_DIR).filter(f => f.startsWith('tcg-price-history-')), ['tcg-price-history-swsh4.json']);
+  assert.equal(result.counts.staleHistoryRemoved, 1);
+  const index = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'tcg-cards-index.json'), 'utf8'));
+  assert.deepEqual(index.priceHistory, { swsh4: 'tcg-price-history-swsh4.json' });
+});
+
+test('cards of other languages get language-prefixed ids instead of colliding', async () => {
+  writeFixture([{ id: 'swsh4-1', name: 'Pokémon Catcher', number: '1', supertype: 'Trainer' }], []);
+  writeJson(path.join(STORE_DIR, 'ja', 'sets.json'), JSON.parse(fs.readFileSync(path.join(STORE_DIR, 'sets.json'), 'utf8')));
+  writeJson(path.join(STORE_DIR, 'ja', 'sets', 'swsh4.json'), [{ id: 'swsh4-1', name: 'ポケモンキャッチャー', number: '1', supertype: 'Trainer' }]);
+  process.env.CARD_LANGUAGES = 'en,ja';
+  try {
+    const result = await mergeData();
+    assert.deepEqual(loadMergedCards(DATA_DIR).map(c => [c.id, c.lang]), [['swsh4-1', 'en'], ['ja:swsh4-1', 'ja']]);
+    assert.equal(result.counts.cards, 2);
+  } finally {
+    delete process.env.CARD_LANGUAGES;
+    fs.rmSync(path.join(STORE_DIR, 'ja'), { recursive: true, force: true });
+  }
+});
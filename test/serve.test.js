@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fixtures: the committed merged chunks. serve.js reads DATA_DIR at import time.
+const DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+process.env.DATA_DIR = DATA_DIR;
+const { startServer } = await import('../scripts/serve.js');
+const { loadMergedCards } = await import('../scripts/lib/catalog.js');
+
+const cards = loadMergedCards(DATA_DIR);
+let server;
+let base;
+
+async function get(pathname, init) {
+  const res = await fetch(`${base}${pathname}`, init);
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  server = await startServer({ port: 0, host: '127.0.0.1', watch: false });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('GET /sets lists every set with card counts', async () => {
+  const { status, body } = await get('/sets');
+  assert.equal(status, 200);
+  assert.equal(body.sets.length, new Set(cards.map(c => c.set.id)).size);
+  const base1 = body.sets.find(s => s.id === 'base1');
+  assert.equal(base1.name, 'Base');
+  assert.equal(base1.cards, cards.filter(c => c.set.id === 'base1').length);
+  assert.equal(base1.priced, cards.filter(c => c.set.id === 'base1' && c.prices).length);
+});
+
+test('GET /sets?lang= filters by card language', async () => {
+  assert.equal((await get('/sets?lang=en')).body.sets.length, new Set(cards.map(c => c.set.id)).size);
+  assert.deepEqual((await get('/sets?lang=xx')).body.sets, []);
+});
+
+test('GET /sets/:id/cards pages through a set in number order', async () => {
+  const setCards = cards.filter(c => c.set.id === 'base1');
+  const first = await get('/sets/base1/cards');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.page, 1);
+  assert.equal(first.body.pageSize, 50);
+  assert.equal(first.body.total, setCards.length);
+  assert.deepEqual(first.body.cards.slice(0, 3).map(c => c.number), ['1', '2', '3']);
+
+  const second = await get('/sets/base1/cards?page=2&pageSize=10');
+  assert.equal(second.body.page, 2);
+  assert.equal(second.body.pageSize, 10);
+  assert.equal(second.body.total, setCards.length);
+  assert.deepEqual(second.body.cards.map(c => c.number), ['11', '12', '13', '14', '15', '16', '17', '18', '19', '20']);
+
+  const past = await get(`/sets/base1/cards?page=${setCards.length + 1}&pageSize=1`);
+  assert.deepEqual(past.body.cards, []);
+});
+
+test('pagination clamps page and pageSize', async () => {
+  const big = await get('/cards?pageSize=100000');
+  assert.equal(big.body.pageSize, 500);
+  assert.equal(big.body.cards.length, 500);
+  assert.equal(big.body.total, cards.length);
+
+  const low = await get('/cards?page=0&pageSize=-5');
+  assert.equal(low.body.page, 1);
+  assert.equal(low.body.pageSize, 1);
+});
+
+test('GET /cards/:id returns the full card', async () => {
+  const { status, body } = await get('/cards/base1-4');
+  assert.equal(status, 200);
+  assert.deepEqual(body, cards.find(c => c.id === 'base1-4'));
+});
+
+test('GET /cards filters by name, type, rarity and set', async () => {
+  const { status, body } = await get('/cards?name=charizard&type=Fire&rarity=Rare%20Holo&set=base1');
+  assert.equal(status, 200);
+  assert.deepEqual(body.cards.map(c => c.id), ['base1-4']);
+
+  const series = await get('/cards?series=Base&supertype=Trainer&pageSize=500');
+  const expected = cards.filter(c => c.set.series === 'Base' && c.supertype === 'Trainer');
+  assert.equal(series.body.total, expected.length);
+  assert.ok(series.body.cards.every(c => c.set.series === 'Base' && c.supertype === 'Trainer'));
+
+  const bogus = await get('/cards?rarity=Bogus');
+  assert.equal(bogus.status, 200);
+  assert.equal(bogus.body.total, 0);
+});
+
+test('GET /cards sorts by name', async () => {
+  const { body } = await get('/cards?name=pikachu&sort=name&pageSize=500');
+  const names = body.cards.map(c => c.name);
+  assert.ok(names.length > 1);
+  assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' })));
+});
+
+test('GET /stats summarizes the catalog', async () => {
+  const { status, body } = await get('/stats');
+  assert.equal(status, 200);
+  assert.equal(body.totalCards, cards.length);
+  assert.equal(body.totalSets, new Set(cards.map(c => c.set.id)).size);
+  assert.equal(body.cardsWithPricing, cards.filter(c => c.prices).length);
+  assert.match(body.pricingCoverage, /^\d+\.\d%$/);
+  assert.ok(body.totalChunks > 0);
+  assert.ok(body.loadedAt);
+});
+
+test('unknown cards, sets and routes are 404s', async () => {
+  for (const pathname of ['/cards/nope-1', '/sets/nope/cards', '/nope', '/sets/base1']) {
+    const { status, body } = await get(pathname);
+    assert.equal(status, 404, pathname);
+    assert.ok(body.error, pathname);
+  }
+});
+
+test('bad requests are 400s and other methods 405s', async () => {
+  const nan = await get('/cards?minPrice=abc');
+  assert.equal(nan.status, 400);
+  assert.equal(nan.body.error, 'minPrice must be a number');
+
+  const malformed = await get('/cards/%E0%A4%A');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, 'Malformed URL');
+
+  assert.equal((await get('/cards', { method: 'POST' })).status, 405);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { aliasKey, createSetResolver, loadAliasRegistry } from '../scripts/lib/set-aliases.js';
+
+// Fixture: the committed registry
+const REGISTRY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'set-aliases.json');
+const registry = loadAliasRegistry(REGISTRY);
+const resolver = createSetResolver(registry);
+
+test('aliasKey folds case, accents, punctuation and "and"', () => {
+  assert.equal(aliasKey('Sword & Shield'), aliasKey('sword-and-shield'));
+  assert.equal(aliasKey('Pokémon GO'), 'pokemongo');
+});
+
+test('resolves ids, names and ptcgoCodes', () => {
+  assert.equal(resolver.resolve('base1'), 'base1');
+  assert.equal(resolver.resolve('Base Set'), 'base1');
+  assert.equal(resolver.resolve('SVI'), 'sv1');
+  assert.equal(resolver.resolve('MEW'), 'sv3pt5');
+  assert.equal(resolver.resolve('Black and White'), 'bw1');
+  assert.equal(resolver.resolve('Nonsense: Foo'), null);
+});
+
+test('resolves TCGCSV group names and abbreviations', () => {
+  assert.equal(resolver.resolve('SWSH04: Vivid Voltage'), 'swsh4');
+  assert.equal(resolver.resolve('SWSH04'), 'swsh4');
+  assert.equal(resolver.resolve('SV01: Scarlet & Violet Base Set'), 'sv1');
+  assert.equal(resolver.resolve('SV10: Destined Rivals'), 'sv10');
+  assert.equal(resolver.resolve('SV: Scarlet & Violet 151'), 'sv3pt5');
+  assert.equal(resolver.resolve('SV: Paldean Fates'), 'sv4pt5');
+  assert.equal(resolver.resolve('SM - Guardians Rising'), 'sm2');
+  assert.equal(resolver.resolve('XY - Evolutions'), 'xy12');
+  assert.equal(resolver.resolve('SM Base Set'), 'sm1');
+});
+
+test('a ptcgoCode that spells another set id resolves as a code only through resolveCode', () => {
+  assert.equal(registry.sets.gym1.ptcgoCode, 'G1');
+  assert.equal(resolver.resolve('G1'), 'g1');
+  assert.equal(resolver.resolveCode('G1'), 'gym1');
+  assert.equal(resolver.resolveCode('GEN'), 'g1');
+  assert.equal(resolver.resolveCode('Jungle'), 'base2');
+  assert.deepEqual(resolver.conflicts, []);
+});
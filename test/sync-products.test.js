@@ -0,0 +1,140 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+// sync-products.js runs on import and exits, so each test runs it as a CLI
+// against a stand-in GraphQL Admin API that keeps products in memory.
+const SCRIPT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'scripts', 'sync-products.js');
+const run = promisify(execFile);
+
+const products = new Map();   // product id → { id, title, status, tags, metafields, variants }
+const mutations = [];
+let nextId = 100;
+
+function node(p) {
+  const field = (key) => (p.metafields[key] === undefined ? null : { value: p.metafields[key] });
+  return {
+    id: p.id, title: p.title, status: p.status,
+    cardId: field('card_id'), syncHash: field('sync_hash'),
+    variants: { nodes: p.variants.map(v => ({ id: v.id, selectedOptions: [{ name: 'Printing', value: v.options[0] }] })) }
+  };
+}
+
+function save(input, product = { id: `gid://shopify/Product/${nextId++}`, metafields: {}, variants: [], tags: [] }) {
+  for (const { key, value } of input.metafields || []) product.metafields[key] = value;
+  if (input.variants) product.variants = input.variants.map(v => ({ ...v, id: v.id || `gid://shopify/ProductVariant/${nextId++}` }));
+  Object.assign(product, ...['title', 'status', 'tags'].filter(k => input[k] !== undefined).map(k => ({ [k]: input[k] })));
+  products.set(product.id, product);
+  return product;
+}
+
+const server = http.createServer(async (req, res) => {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  const { query, variables } = JSON.parse(body || '{}');
+  const send = (data) => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ data }));
+
+  if (req.url !== '/admin/api/2023-10/graphql.json' || req.headers['x-shopify-access-token'] !== 'test-token') {
+    return res.writeHead(401).end();
+  }
+  if (query.includes('query SyncedProducts')) {
+    const tag = variables.query.match(/^tag:'(.+)'$/)[1];
+    const nodes = [...products.values()].filter(p => p.tags.includes(tag)).map(node);
+    return send({ products: { pageInfo: { hasNextPage: false, endCursor: null }, nodes } });
+  }
+  if (query.includes('productCreate')) {
+    mutations.push(`create ${variables.input.metafields.find(m => m.key === 'card_id').value}`);
+    return send({ productCreate: { product: { id: save(variables.input).id }, userErrors: [] } });
+  }
+  if (query.includes('productUpdate')) {
+    const current = products.get(variables.input.id);
+    mutations.push(`update ${current.metafields.card_id} ${variables.input.status}`);
+    return send({ productUpdate: { product: { id: save(variables.input, current).id }, userErrors: [] } });
+  }
+  send(null);
+});
+
+// Fixture: one merged chunk with two priced cards and one unpriced
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-products-'));
+const SET = { id: 'base1', name: 'Base', series: 'Base' };
+const CARDS = [
+  { id: 'base1-1', name: 'Alakazam', number: '1', supertype: 'Pokémon', rarity: 'Rare Holo', set: SET,
+    prices: { holofoil: { market: 10 } } },
+  { id: 'base1-2', name: 'Blastoise', number: '2', supertype: 'Pokémon', rarity: 'Rare Holo', set: SET,
+    prices: { holofoil: { market: 20 }, firstEdition: { market: null, low: 100 } } },
+  { id: 'base1-3', name: 'Chansey', number: '3', supertype: 'Pokémon', rarity: 'Rare Holo', set: SET, prices: null }
+];
+
+let env;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  fs.mkdirSync(path.join(WORK_DIR, 'data'));
+  fs.writeFileSync(path.join(WORK_DIR, 'data', 'tcg-cards-chunk-1.json'), JSON.stringify({ cards: CARDS }), 'utf8');
+  env = {
+    ...process.env,
+    SHOPIFY_API_BASE: `http://127.0.0.1:${server.address().port}/admin/api/2023-10`,
+    SHOPIFY_ACCESS_TOKEN: 'test-token',
+    SHOPIFY_STORE: '',
+    SYNC_SETS: '',
+    DRY_RUN: ''
+  };
+
+  // Blastoise needs an update; the other card is no longer in the catalog
+  synced('base1-2', 'Blastoise - Base 2');
+  synced('base1-99', 'Gone - Base 99');
+});
+
+// Already synced: an ACTIVE product with an outdated hash
+function synced(cardId, title) {
+  return save({
+    title, status: 'ACTIVE', tags: ['tcg-sync'],
+    metafields: [{ key: 'card_id', value: cardId }, { key: 'sync_hash', value: 'outdated' }],
+    variants: [{ options: ['Holofoil'], price: '1.00', sku: `${cardId}-holofoil` }]
+  });
+}
+
+after(() => {
+  fs.rmSync(WORK_DIR, { recursive: true, force: true });
+  return new Promise(resolve => server.close(resolve));
+});
+
+const sync = (...args) => run(process.execPath, [SCRIPT, ...args], { cwd: WORK_DIR, env, timeout: 30000 })
+  .then(({ stdout }) => stdout.split('\n'));
+
+test('dry run plans creates, updates and archives without writing', async () => {
+  const lines = await sync('--dry-run');
+  assert.ok(lines.includes('🛒 Product sync (dry run): 1 create, 1 update, 1 archive, 0 unchanged, 1 unpriced card(s) skipped'), lines.join('\n'));
+  assert.ok(lines.includes('  + create base1-1 "Alakazam - Base 1" [Holofoil $11.99]'));
+  assert.ok(lines.includes('  ~ update base1-2 gid://shopify/Product/100 "Blastoise - Base 2" [Holofoil $22.99, First Edition $110.99]'));
+  assert.ok(lines.includes('  - archive base1-99 gid://shopify/Product/102 "Gone - Base 99"'));
+  assert.deepEqual(mutations, []);
+});
+
+test('products are matched by card_id metafield, so a second sync changes nothing', async () => {
+  await sync();
+  assert.deepEqual(mutations, ['create base1-1', 'update base1-2 ACTIVE', 'update base1-99 ARCHIVED']);
+  const blastoise = products.get('gid://shopify/Product/100');
+  assert.deepEqual(blastoise.variants.map(v => [v.options[0], v.price]), [['Holofoil', '22.99'], ['First Edition', '110.99']]);
+  assert.equal(blastoise.variants[0].id, 'gid://shopify/ProductVariant/101');
+
+  mutations.length = 0;
+  const lines = await sync();
+  assert.ok(lines.includes('🛒 Product sync: 0 create, 0 update, 0 archive, 2 unchanged, 1 unpriced card(s) skipped'), lines.join('\n'));
+  assert.deepEqual(mutations, []);
+});
+
+test('SYNC_SETS limits archiving to products of those sets, in every language', async () => {
+  synced('ja:base1-5', 'Gone (Japanese) - Base 5');
+  synced('base2-1', 'Out of scope - Jungle 1');
+  const lines = await run(process.execPath, [SCRIPT, '--dry-run'], { cwd: WORK_DIR, env: { ...env, SYNC_SETS: 'base1' }, timeout: 30000 })
+    .then(({ stdout }) => stdout.split('\n'));
+  assert.ok(lines.includes('🛒 Product sync (dry run): 0 create, 0 update, 1 archive, 2 unchanged, 1 unpriced card(s) skipped'), lines.join('\n'));
+  assert.ok(lines.some(l => l.startsWith('  - archive ja:base1-5 ')));
+});
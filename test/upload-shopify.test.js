@@ -0,0 +1,118 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Mock Shopify Admin API: one main theme whose assets live in `remote`
+// (key → content). The first PUT of each key gets a 429 with Retry-After.
+const remote = new Map();
+const requests = [];
+const throttled = new Set();
+const md5 = (content) => crypto.createHash('md5').update(content, 'utf8').digest('hex');
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://x');
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  const send = (status, data, headers = {}) =>
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(data));
+
+  const route = `${req.method} ${url.pathname.replace('/admin/api/2023-10', '')}`;
+  if (route === 'GET /themes.json') {
+    requests.push({ method: 'GET', path: '/themes.json' });
+    return send(200, { themes: [{ id: 7, name: 'Draft', role: 'unpublished' }, { id: 8, name: 'Live', role: 'main' }] });
+  }
+  if (route === 'GET /themes/8/assets.json') {
+    requests.push({ method: 'GET', path: '/themes/8/assets.json' });
+    return send(200, { assets: [...remote].map(([key, value]) => ({ key, checksum: md5(value) })) });
+  }
+  if (route === 'PUT /themes/8/assets.json') {
+    const { asset } = JSON.parse(body);
+    requests.push({ method: 'PUT', key: asset.key, at: Date.now() });
+    if (!throttled.has(asset.key)) {
+      throttled.add(asset.key);
+      return send(429, { errors: 'Exceeded 2 calls per second for api client.' }, { 'Retry-After': '1.0' });
+    }
+    remote.set(asset.key, asset.value);
+    return send(200, { asset: { key: asset.key, checksum: md5(asset.value) } }, { 'X-Shopify-Shop-Api-Call-Limit': '1/40' });
+  }
+  if (route === 'DELETE /themes/8/assets.json') {
+    const key = url.searchParams.get('asset[key]');
+    requests.push({ method: 'DELETE', key });
+    remote.delete(key);
+    return send(200, {});
+  }
+  send(404, { errors: 'Not Found' });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// upload-shopify.js reads data/ and its manifest under the working directory
+const WORK_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-shopify-'));
+const CWD = process.cwd();
+process.chdir(WORK_DIR);
+Object.assign(process.env, {
+  SHOPIFY_API_BASE: `http://127.0.0.1:${server.address().port}/admin/api/2023-10`,
+  SHOPIFY_ACCESS_TOKEN: 'test-token'
+});
+const { uploadShopify } = await import('../scripts/upload-shopify.js');
+
+after(() => {
+  process.chdir(CWD);
+  fs.rmSync(WORK_DIR, { recursive: true, force: true });
+  return new Promise(resolve => server.close(resolve));
+});
+
+function writeData(files) {
+  fs.mkdirSync('data', { recursive: true });
+  for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join('data', file), content, 'utf8');
+}
+
+test('uploads changed assets, skips matching checksums and deletes orphans', async () => {
+  writeData({
+    'tcg-cards-index.json': '{"chunks":["tcg-cards-chunk-1.json"]}',
+    'tcg-cards-chunk-1.json': '{"cards":[{"id":"base1-1"}]}',
+    'tcg-search-index.json': '{"rows":[]}',
+    'pricing-unmatched.json': '{}'
+  });
+  remote.set('assets/tcg-cards-index.json', '{"chunks":["tcg-cards-chunk-1.json"]}');
+  remote.set('assets/tcg-cards-chunk-1.json', '{"cards":[]}');
+  remote.set('assets/tcg-cards-chunk-2.json', '{"cards":[]}');
+  remote.set('assets/theme.css', 'body{}');
+
+  const result = await uploadShopify();
+  assert.deepEqual(result.counts, { assets: 3, uploaded: 2, unchanged: 1, orphansDeleted: 1, failed: 0 });
+  assert.equal(result.inputs.themeId, 8);
+
+  // Unchanged index and diagnostics never sent; foreign assets left alone
+  const writes = requests.filter(r => r.method !== 'GET').map(r => `${r.method} ${r.key}`);
+  assert.deepEqual(writes, [
+    'PUT assets/tcg-cards-chunk-1.json',
+    'PUT assets/tcg-cards-chunk-1.json',
+    'PUT assets/tcg-search-index.json',
+    'PUT assets/tcg-search-index.json',
+    'DELETE assets/tcg-cards-chunk-2.json'
+  ]);
+  assert.deepEqual([...remote.keys()].sort(), [
+    'assets/tcg-cards-chunk-1.json', 'assets/tcg-cards-index.json', 'assets/tcg-search-index.json', 'assets/theme.css'
+  ]);
+
+  // Retry-After is honored: the retry waits the second the 429 asked for
+  const [first, retry] = requests.filter(r => r.key === 'assets/tcg-cards-chunk-1.json');
+  assert.ok(retry.at - first.at >= 950, `retried after ${retry.at - first.at}ms`);
+
+  const manifest = JSON.parse(fs.readFileSync(path.join('.cache', 'shopify-assets.json'), 'utf8'));
+  assert.equal(manifest.themeId, 8);
+  assert.deepEqual(Object.keys(manifest.assets).sort(), [
+    'assets/tcg-cards-chunk-1.json', 'assets/tcg-cards-index.json', 'assets/tcg-search-index.json'
+  ]);
+});
+
+test('a second run with nothing changed makes no writes', async () => {
+  requests.length = 0;
+  const result = await uploadShopify();
+  assert.deepEqual(result.counts, { assets: 3, uploaded: 0, unchanged: 3, orphansDeleted: 0, failed: 0 });
+  assert.deepEqual(requests.map(r => r.method), ['GET', 'GET']);
+});